@@ -0,0 +1,154 @@
+/**
+ * Notes Markdown
+ * Renders the small Markdown subset allowed in task notes to HTML:
+ *
+ *   Paragraphs     Blank lines separate paragraphs; single line breaks are kept
+ *   Lists          "- item", "* item", "1. item"
+ *   Code           `inline` and ``` fenced blocks
+ *   Emphasis       *em*, _em_, **strong**, __strong__
+ *   Links          [text](https://example.com), bare https:// and www. URLs
+ *
+ * Every piece of text is escaped before it is wrapped in markup, so raw
+ * HTML in notes always shows as text. Links only accept http(s) and
+ * mailto URLs; anything else (javascript:, data:) stays plain text.
+ *
+ * The renderer has no DOM dependencies so it can be tested on its own.
+ */
+
+const NOTES_MAX_LENGTH = 5000;
+
+// One inline token: code span, [link](url), bare URL, **strong** or *em*.
+// A "*" next to another "*" never closes *em*, so **strong** can nest in it.
+const INLINE_PATTERN = new RegExp([
+    '(`+)([^`]|[^`][\\s\\S]*?[^`])\\1(?!`)',
+    '\\[([^\\]\\n]+)\\]\\(([^)\\s]+)\\)',
+    '((?:https?:\\/\\/|www\\.)[^\\s<]*[^\\s<.,:;"\'!?)\\]])',
+    '(\\*\\*|__)(?=\\S)([\\s\\S]*?\\S)\\6',
+    '\\*(?!\\*)(?=\\S)([\\s\\S]*?\\S)(?<!\\*)\\*(?!\\*)',
+    '(?<![\\p{L}\\p{N}])_(?=\\S)([\\s\\S]*?\\S)_(?![\\p{L}\\p{N}])'
+].join('|'), 'gu');
+
+/**
+ * Escape text for use in HTML content and attribute values
+ */
+function escapeMarkup(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Get a link target that is safe to put in href, or null
+ */
+function toSafeUrl(url) {
+    const target = /^www\./i.test(url) ? `https://${url}` : url;
+    return /^(https?:\/\/|mailto:)/i.test(target) ? target : null;
+}
+
+/**
+ * Render a link; unsafe targets come back as escaped text
+ */
+function renderLink(label, url, original) {
+    const href = toSafeUrl(url);
+    if (!href) return escapeMarkup(original);
+    return `<a href="${escapeMarkup(href)}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+}
+
+/**
+ * Render inline Markdown in one line or paragraph of text
+ */
+function renderInline(text, { links = true } = {}) {
+    let html = '';
+    let last = 0;
+
+    for (const match of text.matchAll(INLINE_PATTERN)) {
+        const [whole, , code, label, url, bareUrl, strongMark, strong, starEm, underscoreEm] = match;
+        const em = starEm !== undefined ? starEm : underscoreEm;
+        html += escapeMarkup(text.slice(last, match.index));
+        last = match.index + whole.length;
+
+        if (code !== undefined) {
+            html += `<code>${escapeMarkup(code.trim() || code)}</code>`;
+        } else if (label !== undefined) {
+            html += links
+                ? renderLink(renderInline(label, { links: false }), url, whole)
+                : escapeMarkup(whole);
+        } else if (bareUrl !== undefined) {
+            html += links ? renderLink(escapeMarkup(bareUrl), bareUrl, bareUrl) : escapeMarkup(bareUrl);
+        } else if (strongMark !== undefined) {
+            html += `<strong>${renderInline(strong, { links })}</strong>`;
+        } else if (em !== undefined) {
+            html += `<em>${renderInline(em, { links })}</em>`;
+        }
+    }
+
+    return html + escapeMarkup(text.slice(last));
+}
+
+/**
+ * Render notes text to HTML. Returns '' for empty notes.
+ */
+function renderMarkdown(text) {
+    const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+    let list = null;
+
+    const closeParagraph = () => {
+        if (paragraph.length) {
+            blocks.push(`<p>${paragraph.map(line => renderInline(line)).join('<br>')}</p>`);
+            paragraph = [];
+        }
+    };
+    const closeList = () => {
+        if (list) {
+            blocks.push(`<${list.tag}>${list.items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${list.tag}>`);
+            list = null;
+        }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        // Fenced code block, kept verbatim up to the closing fence
+        if (/^\s*```/.test(line)) {
+            closeParagraph();
+            closeList();
+            const code = [];
+            while (++i < lines.length && !/^\s*```\s*$/.test(lines[i])) {
+                code.push(lines[i]);
+            }
+            blocks.push(`<pre><code>${escapeMarkup(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        const item = line.match(/^\s*(?:([-*+])|\d{1,9}[.)])\s+(.*)$/);
+        if (item) {
+            const tag = item[1] ? 'ul' : 'ol';
+            closeParagraph();
+            if (list && list.tag !== tag) closeList();
+            if (!list) list = { tag, items: [] };
+            list.items.push(item[2]);
+        } else if (!line.trim()) {
+            closeParagraph();
+            closeList();
+        } else if (list && /^\s+\S/.test(line)) {
+            // Indented line continues the list item above
+            list.items[list.items.length - 1] += ` ${line.trim()}`;
+        } else {
+            closeList();
+            paragraph.push(line.trim());
+        }
+    }
+
+    closeParagraph();
+    closeList();
+    return blocks.join('');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { renderMarkdown, NOTES_MAX_LENGTH };
+}
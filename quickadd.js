@@ -0,0 +1,317 @@
+/**
+ * Quick-Add Parser
+ * Turns phrases typed into the task input into structured fields:
+ *
+ *   "Pay rent tomorrow 5pm !high #home"
+ *     -> { text: 'Pay rent', deadline: <tomorrow 17:00>, priority: 'high', tags: ['home'] }
+ *
+ * Understood phrases:
+ *   Dates       today, tonight, tomorrow, on/by/next <weekday>, next week,
+ *               <month> <day> (e.g. "dec 5"), 2026-12-05
+ *   Times       at 5pm, 5:30pm, 17:00, noon, midnight
+ *   Relative    in 20 minutes, in 3 hours, in 2 days, in 1 week
+ *   Repeats     every day, daily, every weekday, every monday (and friday),
+ *               every week, every month, monthly, every 3 days, every other day
+ *               ("daily", "weekly" and "monthly" only as the last word)
+ *   Priority    !low, !medium, !high, !urgent
+ *   Tags        #word
+ *
+ * The parser has no DOM dependencies so it can be tested on its own.
+ */
+
+// "#tag" words in task text. Tags are letters, digits, "_" and "-".
+const TAG_PATTERN = /(^|\s)#([\p{L}\p{N}_-]{1,30})(?=\s|$)/gu;
+
+// Time of day used when a phrase gives a date but no time
+const DEFAULT_DUE_HOUR = 9;
+
+const WEEKDAY_PATTERNS = [
+    'sun(?:day)?', 'mon(?:day)?', 'tue(?:s|sday)?', 'wed(?:nesday)?',
+    'thu(?:r|rs|rsday)?', 'fri(?:day)?', 'sat(?:urday)?'
+];
+const WEEKDAY_WORD = `(?:${WEEKDAY_PATTERNS.join('|')})`;
+
+const MONTH_PATTERNS = [
+    'jan(?:uary)?', 'feb(?:ruary)?', 'mar(?:ch)?', 'apr(?:il)?', 'may', 'june?',
+    'july?', 'aug(?:ust)?', 'sep(?:t|tember)?', 'oct(?:ober)?', 'nov(?:ember)?', 'dec(?:ember)?'
+];
+
+const PRIORITY_ALIASES = {
+    low: 'low',
+    med: 'medium',
+    medium: 'medium',
+    high: 'high',
+    urgent: 'urgent'
+};
+
+// Repeat words that count without "every", read only at the end of the text
+const BARE_REPEATS = {
+    daily: () => ({ type: 'daily' }),
+    weekly: () => ({ type: 'weekly', days: null }),
+    monthly: () => ({ type: 'monthlyDate', dayOfMonth: null })
+};
+
+// A phrase must stand on its own: start of text or space before, and
+// space, punctuation or end of text after
+const BEFORE = '(?<=^|\\s)';
+const AFTER = '(?=$|[\\s,.;!?])';
+
+/**
+ * Get the weekday number (0 = Sunday) of a weekday word like "tues"
+ */
+function parseWeekday(word) {
+    return WEEKDAY_PATTERNS.findIndex(pattern => new RegExp(`^${pattern}$`, 'i').test(word));
+}
+
+/**
+ * Read a clock time like "5pm", "5:30 pm", "17:00", "noon"
+ */
+function parseTime(word) {
+    const normalized = word.toLowerCase().replace(/\s+/g, '');
+    if (normalized === 'noon') return { hours: 12, minutes: 0 };
+    if (normalized === 'midnight') return { hours: 0, minutes: 0 };
+
+    const match = normalized.match(/^(\d{1,2})(?::(\d{2}))?(am|pm)?$/);
+    if (!match) return null;
+
+    let hours = parseInt(match[1], 10);
+    const minutes = match[2] ? parseInt(match[2], 10) : 0;
+    const meridiem = match[3];
+
+    if (minutes > 59) return null;
+    if (meridiem) {
+        if (hours < 1 || hours > 12) return null;
+        hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+    } else if (hours > 23) {
+        return null;
+    }
+
+    return { hours, minutes };
+}
+
+/**
+ * Get midnight of the given date
+ */
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Get the first date after `from` that falls on a weekday
+ */
+function nextWeekday(from, weekday) {
+    const date = startOfDay(from);
+    date.setDate(date.getDate() + (((weekday - date.getDay() + 7) % 7) || 7));
+    return date;
+}
+
+/**
+ * Parse quick-add text. Returns the text with every recognised phrase
+ * removed, the structured fields found, and the phrases that matched.
+ * `deadline` is a Date or null; `priority` and `recurrence` are null
+ * when not given.
+ */
+function parseQuickAdd(input, now = new Date()) {
+    const result = {
+        text: '',
+        deadline: null,
+        recurrence: null,
+        priority: null,
+        tags: [],
+        matches: []
+    };
+
+    let text = String(input);
+    let date = null;
+    let time = null;
+    let exact = null;
+
+    // Replace the first match of a pattern the handler accepts
+    const take = (pattern, handler) => {
+        text = text.replace(new RegExp(`${BEFORE}(?:${pattern})${AFTER}`, 'i'), (match, ...groups) => {
+            if (handler(groups, match) === false) return match;
+            result.matches.push(match.trim());
+            return ' ';
+        });
+    };
+
+    // Repeats come first so "every monday" is not read as a date
+    take('every\\s+other\\s+day', () => {
+        result.recurrence = { type: 'interval', interval: 2 };
+    });
+    take('every\\s+(\\d{1,3})\\s+days?', ([count]) => {
+        const interval = parseInt(count, 10);
+        if (interval < 1) return false;
+        result.recurrence = interval === 1 ? { type: 'daily' } : { type: 'interval', interval };
+    });
+    take('every\\s+day', () => {
+        if (result.recurrence) return false;
+        result.recurrence = { type: 'daily' };
+    });
+    take('every\\s+(?:weekday|work\\s*day)s?', () => {
+        if (result.recurrence) return false;
+        result.recurrence = { type: 'weekdays' };
+    });
+    take(`every\\s+(${WEEKDAY_WORD}(?:\\s*(?:,|and|&)\\s*${WEEKDAY_WORD})*)`, ([list]) => {
+        if (result.recurrence) return false;
+        const days = [...new Set(list.split(/\s*(?:,|and|&)\s*/i).map(parseWeekday))]
+            .filter(day => day !== -1)
+            .sort((a, b) => a - b);
+        result.recurrence = { type: 'weekly', days };
+    });
+    take('every\\s+week', () => {
+        if (result.recurrence) return false;
+        result.recurrence = { type: 'weekly', days: null };
+    });
+    take('every\\s+month', () => {
+        if (result.recurrence) return false;
+        result.recurrence = { type: 'monthlyDate', dayOfMonth: null };
+    });
+
+    // Relative times set an exact moment
+    take('in\\s+(\\d{1,3})\\s+(min(?:ute)?s?|hours?|hrs?|days?|weeks?)', ([count, unit]) => {
+        const amount = parseInt(count, 10);
+        exact = new Date(now.getTime());
+        if (/^m/i.test(unit)) {
+            exact.setMinutes(exact.getMinutes() + amount, 0, 0);
+        } else if (/^h/i.test(unit)) {
+            exact.setHours(exact.getHours() + amount, exact.getMinutes(), 0, 0);
+        } else {
+            exact.setDate(exact.getDate() + amount * (/^w/i.test(unit) ? 7 : 1));
+            exact.setSeconds(0, 0);
+        }
+    });
+
+    // Dates
+    take('today', () => {
+        if (date || exact) return false;
+        date = startOfDay(now);
+    });
+    take('tonight', () => {
+        if (date || exact) return false;
+        date = startOfDay(now);
+        time = time || { hours: 20, minutes: 0 };
+    });
+    take('tomorrow|tmrw', () => {
+        if (date || exact) return false;
+        date = startOfDay(now);
+        date.setDate(date.getDate() + 1);
+    });
+    take('next\\s+week', () => {
+        if (date || exact) return false;
+        date = startOfDay(now);
+        date.setDate(date.getDate() + 7);
+    });
+    take(`(?:on|by|next|this)\\s+(${WEEKDAY_WORD})`, ([word]) => {
+        if (date || exact) return false;
+        date = nextWeekday(now, parseWeekday(word));
+    });
+    take('(\\d{4})-(\\d{2})-(\\d{2})', ([year, month, day]) => {
+        if (date || exact) return false;
+        const parsed = new Date(parseInt(year, 10), parseInt(month, 10) - 1, parseInt(day, 10));
+        if (parsed.getMonth() !== parseInt(month, 10) - 1 || parsed.getDate() !== parseInt(day, 10)) return false;
+        date = parsed;
+    });
+    take(`(?:(?:on|by)\\s+)?(${MONTH_PATTERNS.join('|')})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?`, ([monthWord, dayText]) => {
+        if (date || exact) return false;
+        const month = MONTH_PATTERNS.findIndex(pattern => new RegExp(`^${pattern}$`, 'i').test(monthWord));
+        const day = parseInt(dayText, 10);
+        let parsed = new Date(now.getFullYear(), month, day);
+        if (parsed.getMonth() !== month) return false;
+
+        // A date earlier this year means next year
+        if (parsed < startOfDay(now)) {
+            parsed = new Date(now.getFullYear() + 1, month, day);
+        }
+        date = parsed;
+    });
+
+    // Times: "5pm", "at 5:30 pm", "17:30", "noon"
+    take('(?:at\\s+)?(\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)|\\d{1,2}:\\d{2}|noon|midnight)', ([clock]) => {
+        if (exact) return false;
+        const parsed = parseTime(clock);
+        if (!parsed) return false;
+        time = parsed;
+    });
+
+    // Priority
+    take('!(low|med|medium|high|urgent)', ([level]) => {
+        if (result.priority) return false;
+        result.priority = PRIORITY_ALIASES[level.toLowerCase()];
+    });
+
+    // Tags
+    text = text.replace(TAG_PATTERN, (match, space, tag) => {
+        const normalized = tag.toLowerCase();
+        if (!result.tags.includes(normalized)) {
+            result.tags.push(normalized);
+        }
+        result.matches.push(match.trim());
+        return space;
+    });
+
+    // "daily", "weekly" and "monthly" on their own only count as the last
+    // word left, so "Monthly report" stays plain text
+    take('(daily|weekly|monthly)\\s*$', ([word]) => {
+        if (result.recurrence) return false;
+        result.recurrence = BARE_REPEATS[word.toLowerCase()]();
+    });
+
+    result.text = text.replace(/\s+/g, ' ').trim();
+    result.deadline = exact || resolveDeadline({ date, time, recurrence: result.recurrence, now });
+
+    // Anchor open-ended repeats on the first due date
+    if (result.recurrence && result.deadline) {
+        if (result.recurrence.type === 'weekly' && !result.recurrence.days) {
+            result.recurrence.days = [result.deadline.getDay()];
+        } else if (result.recurrence.type === 'monthlyDate') {
+            result.recurrence.dayOfMonth = result.deadline.getDate();
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Combine a parsed date, time and repeat rule into one deadline.
+ * A time on its own means the next time the clock shows it; a repeat
+ * without a date starts on its first matching day.
+ */
+function resolveDeadline({ date, time, recurrence, now }) {
+    if (!date && !time && !recurrence) return null;
+
+    const { hours, minutes } = time || { hours: DEFAULT_DUE_HOUR, minutes: 0 };
+    const at = (day) => new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+
+    if (date) {
+        // "today" with no time and the default hour gone means by the end of the day
+        const deadline = at(date);
+        return !time && deadline <= now
+            ? new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59)
+            : deadline;
+    }
+
+    // Walk forward from today to the first day the rule (if any) allows
+    let day = startOfDay(now);
+    for (let i = 0; i < 8; i++) {
+        if (at(day) > now && repeatsOn(recurrence, day)) {
+            return at(day);
+        }
+        day.setDate(day.getDate() + 1);
+    }
+    return at(day);
+}
+
+/**
+ * Check whether a repeat rule can fall on a given day
+ */
+function repeatsOn(recurrence, day) {
+    if (!recurrence) return true;
+    if (recurrence.type === 'weekdays') return day.getDay() !== 0 && day.getDay() !== 6;
+    if (recurrence.type === 'weekly' && recurrence.days) return recurrence.days.includes(day.getDay());
+    return true;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseQuickAdd, parseTime, TAG_PATTERN };
+}
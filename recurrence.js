@@ -0,0 +1,169 @@
+/**
+ * Recurrence Rules
+ * Date math for repeating tasks. A rule is a plain object stored on the
+ * task as task.recurrence:
+ *
+ *   { type: 'daily' }
+ *   { type: 'weekdays' }                          Monday to Friday
+ *   { type: 'weekly', days: [1, 3] }              0 = Sunday ... 6 = Saturday
+ *   { type: 'monthlyDate', dayOfMonth: 31 }       Clamped to short months
+ *   { type: 'monthlyWeekday', nth: 2, weekday: 4 } nth = 1-4, or -1 for last
+ *   { type: 'interval', interval: 3 }             Every N days
+ */
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ORDINAL_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+
+/**
+ * Check that a value is a recurrence rule this module understands
+ */
+function isValidRecurrence(rule) {
+    if (!rule || typeof rule !== 'object') return false;
+
+    switch (rule.type) {
+        case 'daily':
+        case 'weekdays':
+            return true;
+        case 'weekly':
+            return Array.isArray(rule.days) && rule.days.length > 0 &&
+                rule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+        case 'monthlyDate':
+            return Number.isInteger(rule.dayOfMonth) && rule.dayOfMonth >= 1 && rule.dayOfMonth <= 31;
+        case 'monthlyWeekday':
+            return [1, 2, 3, 4, -1].includes(rule.nth) &&
+                Number.isInteger(rule.weekday) && rule.weekday >= 0 && rule.weekday <= 6;
+        case 'interval':
+            return Number.isInteger(rule.interval) && rule.interval >= 1;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Build a rule of the given type anchored on a date, e.g. 'monthlyWeekday'
+ * from the 10th of a month becomes "second <weekday> of the month"
+ */
+function createRecurrence(type, anchor, { days = [], interval = 1 } = {}) {
+    switch (type) {
+        case 'weekly':
+            return { type, days: days.length ? [...days].sort((a, b) => a - b) : [anchor.getDay()] };
+        case 'monthlyDate':
+            return { type, dayOfMonth: anchor.getDate() };
+        case 'monthlyWeekday': {
+            const nth = Math.ceil(anchor.getDate() / 7);
+            return { type, nth: nth > 4 ? -1 : nth, weekday: anchor.getDay() };
+        }
+        case 'interval':
+            return { type, interval: Math.max(1, Math.floor(interval) || 1) };
+        default:
+            return { type };
+    }
+}
+
+/**
+ * Get the first occurrence strictly after `from`, keeping its time of day
+ */
+function getNextOccurrence(rule, from) {
+    const next = new Date(from.getTime());
+
+    switch (rule.type) {
+        case 'daily':
+            next.setDate(next.getDate() + 1);
+            return next;
+
+        case 'interval':
+            next.setDate(next.getDate() + rule.interval);
+            return next;
+
+        case 'weekdays':
+            do {
+                next.setDate(next.getDate() + 1);
+            } while (next.getDay() === 0 || next.getDay() === 6);
+            return next;
+
+        case 'weekly':
+            do {
+                next.setDate(next.getDate() + 1);
+            } while (!rule.days.includes(next.getDay()));
+            return next;
+
+        case 'monthlyDate':
+        case 'monthlyWeekday':
+            // Try this month first, then following months
+            for (let offset = 0; offset < 24; offset++) {
+                const candidate = getMonthlyDate(rule, from.getFullYear(), from.getMonth() + offset);
+                candidate.setHours(from.getHours(), from.getMinutes(), 0, 0);
+                if (candidate > from) return candidate;
+            }
+            throw new Error('Could not find the next monthly occurrence.');
+
+        default:
+            throw new Error(`Unknown recurrence type: ${rule.type}`);
+    }
+}
+
+/**
+ * Get the date a monthly rule falls on in a given month
+ */
+function getMonthlyDate(rule, year, month) {
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+    if (rule.type === 'monthlyDate') {
+        return new Date(year, month, Math.min(rule.dayOfMonth, daysInMonth));
+    }
+
+    if (rule.nth === -1) {
+        const last = new Date(year, month, daysInMonth);
+        last.setDate(daysInMonth - ((last.getDay() - rule.weekday + 7) % 7));
+        return last;
+    }
+
+    const first = new Date(year, month, 1);
+    const firstMatch = 1 + ((rule.weekday - first.getDay() + 7) % 7);
+    return new Date(year, month, firstMatch + (rule.nth - 1) * 7);
+}
+
+/**
+ * Get the next occurrence after `from` that is also in the future, so a
+ * long-overdue daily task rolls forward to tomorrow rather than to a past day
+ */
+function getNextFutureOccurrence(rule, from, now = new Date()) {
+    let next = getNextOccurrence(rule, from);
+    while (next <= now) {
+        next = getNextOccurrence(rule, next);
+    }
+    return next;
+}
+
+/**
+ * Describe a rule in words, e.g. "Every Monday, Wednesday"
+ */
+function describeRecurrence(rule) {
+    switch (rule.type) {
+        case 'daily':
+            return 'Every day';
+        case 'weekdays':
+            return 'Every weekday';
+        case 'weekly':
+            return `Every ${rule.days.map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+        case 'monthlyDate':
+            return `Monthly on day ${rule.dayOfMonth}`;
+        case 'monthlyWeekday':
+            return `Monthly on the ${ORDINAL_NAMES[rule.nth]} ${WEEKDAY_NAMES[rule.weekday]}`;
+        case 'interval':
+            return rule.interval === 1 ? 'Every day' : `Every ${rule.interval} days`;
+        default:
+            return 'Repeats';
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        isValidRecurrence,
+        createRecurrence,
+        getNextOccurrence,
+        getNextFutureOccurrence,
+        describeRecurrence,
+        WEEKDAY_NAMES
+    };
+}
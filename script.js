@@ -4,18 +4,262 @@
  * for building interactive web applications
  */
 
+// localStorage key holding the task list
+const STORAGE_KEY = 'todoApp';
+
+// Settings keys that lived next to the task list in localStorage
+const THEME_KEY = 'todoapp-theme';
+const HISTORY_KEY = 'todoapp-history';
+const SORT_KEY = 'todoapp-sort';
+const REMINDER_KEY = 'todoapp-reminders';
+const VIEW_KEY = 'todoapp-view';
+const LIST_KEY = 'todoapp-lists';
+const SHORTCUT_KEY = 'todoapp-shortcuts';
+const SERVER_SYNC_KEY = 'todoapp-server-sync';
+const TRASH_KEY = 'todoapp-trash';
+
+// Display labels of the priority levels
+const PRIORITY_LABELS = {
+    none: 'No priority',
+    low: 'Low',
+    medium: 'Medium',
+    high: 'High',
+    urgent: 'Urgent'
+};
+
+// Ways the task list can be ordered
+const SORT_MODES = ['manual', 'priority', 'deadline', 'created', 'alphabetical'];
+
+// Ways the tasks can be shown: the plain list, grouped by due date, or on a calendar
+const VIEW_MODES = ['list', 'agenda', 'week', 'month'];
+
+// Agenda groups in display order
+const AGENDA_GROUPS = {
+    overdue: 'Overdue',
+    today: 'Today',
+    tomorrow: 'Tomorrow',
+    week: 'This week',
+    later: 'Later',
+    earlier: 'Earlier',
+    none: 'No date'
+};
+
+// Default keyboard shortcuts by command id (see getCommands()). Keys are
+// written as produced by getShortcutKey(), e.g. "j", "ArrowDown", "Ctrl+K".
+const DEFAULT_SHORTCUTS = {
+    'command-palette': ['Ctrl+K'],
+    'show-shortcuts': ['?'],
+    'new-task': ['Ctrl+Enter'],
+    'focus-next': ['j', 'ArrowDown'],
+    'focus-previous': ['k', 'ArrowUp'],
+    'toggle-task': ['x'],
+    'edit-task': ['e'],
+    'toggle-notes': ['n'],
+    'delete-task': ['Delete'],
+    'filter-all': ['1'],
+    'filter-active': ['2'],
+    'filter-completed': ['3'],
+    'filter-trash': ['4'],
+    'focus-search': ['/'],
+    'undo': ['Ctrl+Z'],
+    'redo': ['Ctrl+Shift+Z', 'Ctrl+Y'],
+    'select-all': ['Ctrl+A']
+};
+
+// How special keys are shown in the shortcut list
+const KEY_LABELS = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Delete: 'Del'
+};
+
+// Periods the statistics panel can cover, in days
+const STATS_RANGES = {
+    7: 'Last 7 days',
+    30: 'Last 30 days',
+    90: 'Last 90 days'
+};
+
+// Reminder offsets in minutes before a deadline, with their labels
+const REMINDER_OFFSETS = {
+    0: 'At the deadline',
+    15: '15 minutes before',
+    60: '1 hour before',
+    1440: '1 day before'
+};
+const DEFAULT_REMINDER_OFFSETS = [60, 0];
+
+// Snooze choices in minutes
+const SNOOZE_OPTIONS = {
+    10: '10 min',
+    60: '1 hour',
+    1440: '1 day'
+};
+
+// Longest wait between reminder checks, which also refresh deadline badges
+const REMINDER_TICK_MS = 60 * 1000;
+
+// Reminders missed by more than this (e.g. while the app was closed) are dropped
+const REMINDER_GRACE_MS = 24 * 60 * 60 * 1000;
+
+// Channel (and localStorage key, where BroadcastChannel is missing) used
+// to tell other open tabs about task changes
+const SYNC_CHANNEL = 'todoapp-sync';
+
+// Header labels for the server sync status (see sync.js)
+const SYNC_STATUS_LABELS = {
+    off: 'Sync off',
+    syncing: 'Syncing…',
+    synced: 'Synced',
+    offline: 'Offline',
+    error: 'Sync error'
+};
+
+// Days trashed tasks are kept before being deleted for good (0 keeps them
+// until the trash is emptied), and how often expired ones are purged
+const TRASH_RETENTION_DAYS = [7, 30, 90, 0];
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Pick the best available storage backend: IndexedDB (migrating any
+ * existing localStorage data into it), then localStorage, then memory
+ */
+function createDefaultStorage() {
+    try {
+        if (window.indexedDB) {
+            return new IndexedDBStorageAdapter({
+                dbName: STORAGE_KEY,
+                legacyKey: STORAGE_KEY,
+                legacySettingKeys: [THEME_KEY, HISTORY_KEY]
+            });
+        }
+        if (window.localStorage) {
+            return new LocalStorageAdapter({ key: STORAGE_KEY });
+        }
+    } catch (error) {
+        console.error('Persistent storage unavailable:', error);
+    }
+    return new MemoryStorageAdapter();
+}
+
 class TodoApp {
-    constructor() {
-        // Application state
-        this.tasks = [];
+    constructor({ storage = createDefaultStorage() } = {}) {
+        // Tasks, lists and their rules live in the store (see store.js);
+        // the app renders it. Changes made to the store by other code are
+        // recorded, saved and rendered like the app's own.
+        this.store = new TodoStore({ storage });
+        this.ownChanges = 0;
+        this.store.subscribe('change', (event) => {
+            if (this.ownChanges > 0) return;
+            this.commitChanges('Change tasks', event);
+            this.saveTasks();
+            this.renderPreservingEdit();
+        });
+        
+        // View state. Filters are remembered per list as { [listId]: { filter, tag } }.
+        this.currentListId = 1;
+        this.listFilters = {};
         this.currentFilter = 'all';
+        this.currentSort = 'manual';
+        this.currentTag = null;
+        this.currentView = 'list';
+        this.calendarDate = new Date();
+        this.calendarDrag = null;
+        this.searchQuery = '';
+        this.searchTerms = { include: [], exclude: [] };
+        this.dragState = null;
+        this.selectionMode = false;
+        this.selectedIds = new Set();
+        this.selectionAnchorId = null;
+        
+        // Keyboard commands: user remappings by command id, the command
+        // whose shortcut is being recorded, and tasks to refocus after a render
+        this.shortcutOverrides = {};
+        this.recordingShortcut = null;
+        this.pendingFocusTaskIds = null;
+        this.paletteIndex = 0;
+        this.paletteReturnFocus = null;
+        
+        // Reminder settings plus which reminders already fired or are snoozed
+        this.reminders = { offsets: [...DEFAULT_REMINDER_OFFSETS], fired: {}, snoozed: {} };
+        this.reminderTimer = null;
         this.editingTaskId = null;
-        this.taskIdCounter = 0;
+        
+        // Subtask UI state: tasks showing the add-subtask field and the
+        // subtask being edited as { taskId, subtaskId }
+        this.expandedTaskIds = new Set();
+        this.editingSubtask = null;
+        
+        // Notes UI state: tasks with the details pane open and the task
+        // whose notes are being edited
+        this.expandedNoteIds = new Set();
+        this.editingNotesTaskId = null;
+        
+        // Undo/redo history (most recent entry last)
+        this.history = { undo: [], redo: [] };
+        this.historyLimit = 50;
+        
+        // Cross-tab sync: this tab's id and ids deleted during this session
+        this.tabId = Math.random().toString(36).slice(2);
+        this.syncChannel = null;
+        this.tombstones = new Map();
+        
+        // Server sync: the SyncEngine for the configured endpoint, if any
+        this.serverSync = null;
+        this.syncEndpoint = '';
+        
+        // Trash: days trashed tasks are kept and the timer purging old ones
+        this.trashRetentionDays = DEFAULT_TRASH_RETENTION_DAYS;
+        this.trashPurgeTimer = null;
         
         // DOM elements
         this.elements = {
             taskInput: document.getElementById('taskInput'),
             taskDeadline: document.getElementById('taskDeadline'),
+            taskRecurrence: document.getElementById('taskRecurrence'),
+            taskPriority: document.getElementById('taskPriority'),
+            listSelect: document.getElementById('listSelect'),
+            manageListsBtn: document.getElementById('manageListsBtn'),
+            syncStatus: document.getElementById('syncStatus'),
+            syncLabel: document.getElementById('syncLabel'),
+            syncPanel: document.getElementById('syncPanel'),
+            syncEndpoint: document.getElementById('syncEndpoint'),
+            syncConnectBtn: document.getElementById('syncConnectBtn'),
+            syncNowBtn: document.getElementById('syncNowBtn'),
+            syncDisconnectBtn: document.getElementById('syncDisconnectBtn'),
+            syncDetail: document.getElementById('syncDetail'),
+            listManager: document.getElementById('listManager'),
+            listManagerItems: document.getElementById('listManagerItems'),
+            newListInput: document.getElementById('newListInput'),
+            createListBtn: document.getElementById('createListBtn'),
+            quickAddPreview: document.getElementById('quickAddPreview'),
+            sortMode: document.getElementById('sortMode'),
+            viewBtns: document.querySelectorAll('.view-btn[data-view]'),
+            calendarNav: document.getElementById('calendarNav'),
+            calendarTitle: document.getElementById('calendarTitle'),
+            calendarView: document.getElementById('calendarView'),
+            searchInput: document.getElementById('searchInput'),
+            announcer: document.getElementById('srAnnouncer'),
+            selectModeBtn: document.getElementById('selectModeBtn'),
+            bulkBar: document.getElementById('bulkBar'),
+            bulkCount: document.getElementById('bulkCount'),
+            bulkDeadline: document.getElementById('bulkDeadline'),
+            bulkMoveList: document.getElementById('bulkMoveList'),
+            reminderOffsets: document.getElementById('reminderOffsets'),
+            notificationBtn: document.getElementById('notificationBtn'),
+            notificationStatus: document.getElementById('notificationStatus'),
+            reminderStack: document.getElementById('reminderStack'),
+            tagsSection: document.getElementById('tagsSection'),
+            tagFilterBar: document.getElementById('tagFilterBar'),
+            manageTagsBtn: document.getElementById('manageTagsBtn'),
+            tagManager: document.getElementById('tagManager'),
+            recurrenceOptions: document.getElementById('recurrenceOptions'),
+            recurrenceDays: document.getElementById('recurrenceDays'),
+            recurrenceIntervalLabel: document.getElementById('recurrenceIntervalLabel'),
+            recurrenceInterval: document.getElementById('recurrenceInterval'),
             addBtn: document.getElementById('addBtn'),
             taskList: document.getElementById('taskList'),
             taskCount: document.getElementById('taskCount'),
@@ -24,32 +268,84 @@ class TodoApp {
             filterBtns: document.querySelectorAll('.filter-btn'),
             clearCompleted: document.getElementById('clearCompleted'),
             clearAll: document.getElementById('clearAll'),
+            trashBar: document.getElementById('trashBar'),
+            trashRetention: document.getElementById('trashRetention'),
+            emptyTrashBtn: document.getElementById('emptyTrashBtn'),
+            commandPalette: document.getElementById('commandPalette'),
+            commandInput: document.getElementById('commandInput'),
+            commandList: document.getElementById('commandList'),
+            shortcutsModal: document.getElementById('shortcutsModal'),
+            shortcutsList: document.getElementById('shortcutsList'),
+            shortcutsBtn: document.getElementById('shortcutsBtn'),
+            resetShortcuts: document.getElementById('resetShortcuts'),
+            closeShortcuts: document.getElementById('closeShortcuts'),
             confirmModal: document.getElementById('confirmModal'),
             confirmYes: document.getElementById('confirmYes'),
             confirmNo: document.getElementById('confirmNo'),
             modalTitle: document.getElementById('modalTitle'),
             modalMessage: document.getElementById('modalMessage'),
-            themeToggle: document.getElementById('themeToggle')
+            themeToggle: document.getElementById('themeToggle'),
+            importBtn: document.getElementById('importBtn'),
+            importFile: document.getElementById('importFile'),
+            importMode: document.getElementById('importMode'),
+            statsBtn: document.getElementById('statsBtn'),
+            statsPanel: document.getElementById('statsPanel'),
+            statsRange: document.getElementById('statsRange'),
+            statsScope: document.getElementById('statsScope'),
+            statsContent: document.getElementById('statsContent'),
+            exportBtn: document.getElementById('exportBtn'),
+            exportScope: document.getElementById('exportScope'),
+            exportFormat: document.getElementById('exportFormat')
         };
         
         // Theme state
-        this.currentTheme = this.getStoredTheme() || 'light';
+        this.currentTheme = 'light';
         
         // Pending confirmation action
         this.pendingAction = null;
         
-        // Initialize the application
-        this.init();
+        // Initialize the application (resolves once stored data is loaded)
+        this.ready = this.init();
     }
     
+    /**
+     * Store state used throughout the app, read and written in place
+     */
+    get storage() { return this.store.storage; }
+    set storage(storage) { this.store.storage = storage; }
+    get tasks() { return this.store.tasks; }
+    set tasks(tasks) { this.store.tasks = tasks; }
+    get taskIdCounter() { return this.store.taskIdCounter; }
+    set taskIdCounter(counter) { this.store.taskIdCounter = counter; }
+    get lists() { return this.store.lists; }
+    set lists(lists) { this.store.lists = lists; }
+    get listIdCounter() { return this.store.listIdCounter; }
+    set listIdCounter(counter) { this.store.listIdCounter = counter; }
+    get listsUpdatedAt() { return this.store.listsUpdatedAt; }
+    set listsUpdatedAt(stamp) { this.store.listsUpdatedAt = stamp; }
+    
     /**
      * Initialize the application
      */
-    init() {
-        this.initTheme();
-        this.loadTasks();
+    async init() {
+        await this.openStorage();
+        await this.initTheme();
+        await this.initSort();
+        await this.initView();
+        await this.loadReminders();
+        await this.loadTasks();
+        await this.loadHistory();
+        await this.loadListState();
+        await this.loadShortcuts();
+        await this.loadTrashSettings();
+        this.initTabSync();
+        await this.loadServerSync();
         this.bindEvents();
         this.render();
+        this.purgeExpiredTrash();
+        this.trashPurgeTimer = setInterval(() => this.purgeExpiredTrash(), TRASH_PURGE_INTERVAL_MS);
+        this.renderReminderSettings();
+        this.scheduleReminders();
         this.elements.taskInput.focus();
     }
     
@@ -66,6 +362,7 @@ class TodoApp {
         
         this.elements.taskInput.addEventListener('input', () => {
             this.clearError();
+            this.renderQuickAddPreview();
         });
         
         // Add button
@@ -73,11 +370,67 @@ class TodoApp {
             this.addTask();
         });
         
+        // Recurrence picker
+        this.elements.taskRecurrence.addEventListener('change', () => {
+            this.renderRecurrenceOptions();
+        });
+        
         // Theme toggle
         this.elements.themeToggle.addEventListener('click', () => {
             this.toggleTheme();
         });
         
+        // Server sync status and settings
+        this.elements.syncStatus.addEventListener('click', () => {
+            this.toggleSyncPanel();
+        });
+        this.elements.syncConnectBtn.addEventListener('click', () => {
+            this.setSyncEndpoint(this.elements.syncEndpoint.value);
+        });
+        this.elements.syncEndpoint.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.setSyncEndpoint(this.elements.syncEndpoint.value);
+            }
+        });
+        this.elements.syncNowBtn.addEventListener('click', () => {
+            if (this.serverSync) this.serverSync.sync();
+        });
+        this.elements.syncDisconnectBtn.addEventListener('click', () => {
+            this.setSyncEndpoint('');
+        });
+        window.addEventListener('online', () => {
+            if (this.serverSync) this.serverSync.sync();
+        });
+        
+        // List switcher and list manager
+        this.elements.listSelect.addEventListener('change', (e) => {
+            this.switchList(parseInt(e.target.value));
+        });
+        
+        this.elements.manageListsBtn.addEventListener('click', () => {
+            this.toggleListManager();
+        });
+        
+        this.elements.listManagerItems.addEventListener('click', (e) => {
+            this.handleListManagerClick(e);
+        });
+        
+        this.elements.listManagerItems.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter' && e.target.classList.contains('list-rename-input')) {
+                this.renameList(parseInt(e.target.closest('.list-manager-item').dataset.listId), e.target.value);
+            }
+        });
+        
+        this.elements.createListBtn.addEventListener('click', () => {
+            this.createList(this.elements.newListInput.value);
+        });
+        
+        this.elements.newListInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.createList(this.elements.newListInput.value);
+            }
+        });
+        
         // Task list events (using event delegation)
         this.elements.taskList.addEventListener('click', (e) => {
             this.handleTaskClick(e);
@@ -91,6 +444,30 @@ class TodoApp {
             this.handleTaskChange(e);
         });
         
+        // Reordering: Alt+Up/Down on a focused task, or drag the handle
+        this.elements.taskList.addEventListener('keydown', (e) => {
+            this.handleTaskKeydown(e);
+        });
+        
+        this.elements.taskList.addEventListener('pointerdown', (e) => {
+            const handle = e.target.closest('.drag-handle');
+            if (handle && e.button === 0) {
+                this.startDrag(e, handle);
+            }
+        });
+        
+        this.elements.taskList.addEventListener('pointermove', (e) => {
+            this.updateDrag(e);
+        });
+        
+        this.elements.taskList.addEventListener('pointerup', (e) => {
+            this.endDrag(e, true);
+        });
+        
+        this.elements.taskList.addEventListener('pointercancel', (e) => {
+            this.endDrag(e, false);
+        });
+        
         // Filter buttons
         this.elements.filterBtns.forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -98,11 +475,118 @@ class TodoApp {
             });
         });
         
+        // Sort mode
+        this.elements.sortMode.addEventListener('change', (e) => {
+            this.setSort(e.target.value);
+        });
+        
+        // Selection mode and bulk actions
+        this.elements.selectModeBtn.addEventListener('click', () => {
+            this.setSelectionMode(!this.selectionMode);
+        });
+        
+        this.elements.bulkBar.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-bulk-action]');
+            if (button && !button.disabled) {
+                this.handleBulkAction(button.dataset.bulkAction);
+            }
+        });
+        
+        // Reminders
+        this.elements.reminderOffsets.addEventListener('change', () => {
+            this.setReminderOffsets(
+                [...this.elements.reminderOffsets.querySelectorAll('input:checked')].map(input => parseInt(input.value))
+            );
+        });
+        
+        this.elements.notificationBtn.addEventListener('click', () => {
+            this.requestNotificationPermission();
+        });
+        
+        this.elements.reminderStack.addEventListener('click', (e) => {
+            this.handleReminderClick(e);
+        });
+        
+        // Search
+        this.elements.searchInput.addEventListener('input', (e) => {
+            this.setSearch(e.target.value);
+        });
+        
+        this.elements.searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.searchQuery) {
+                e.stopPropagation();
+                this.setSearch('');
+            }
+        });
+        
+        // View switcher and calendar
+        this.elements.viewBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.setView(btn.dataset.view);
+            });
+        });
+        
+        this.elements.calendarNav.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-calendar-nav]');
+            if (button) {
+                this.shiftCalendar(parseInt(button.dataset.calendarNav));
+            }
+        });
+        
+        this.elements.calendarView.addEventListener('click', (e) => {
+            this.handleCalendarClick(e);
+        });
+        
+        this.elements.calendarView.addEventListener('keydown', (e) => {
+            this.handleCalendarKeydown(e);
+        });
+        
+        this.elements.calendarView.addEventListener('pointerdown', (e) => {
+            const chip = e.target.closest('.calendar-task');
+            if (chip && e.button === 0 && !e.target.classList.contains('calendar-task-checkbox')) {
+                this.startCalendarDrag(e, chip);
+            }
+        });
+        
+        this.elements.calendarView.addEventListener('pointermove', (e) => {
+            this.updateCalendarDrag(e);
+        });
+        
+        this.elements.calendarView.addEventListener('pointerup', (e) => {
+            this.endCalendarDrag(e, true);
+        });
+        
+        this.elements.calendarView.addEventListener('pointercancel', (e) => {
+            this.endCalendarDrag(e, false);
+        });
+        
+        // Tag filter bar and tag manager
+        this.elements.tagFilterBar.addEventListener('click', (e) => {
+            const chip = e.target.closest('.tag-chip');
+            if (chip) {
+                this.setTagFilter(chip.dataset.tag === this.currentTag ? null : chip.dataset.tag);
+            }
+        });
+        
+        this.elements.manageTagsBtn.addEventListener('click', () => {
+            this.toggleTagManager();
+        });
+        
+        this.elements.tagManager.addEventListener('click', (e) => {
+            this.handleTagManagerClick(e);
+        });
+        
+        this.elements.tagManager.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter' && e.target.classList.contains('tag-rename-input')) {
+                this.renameTag(e.target.closest('.tag-manager-item').dataset.tag, e.target.value);
+            }
+        });
+        
         // Action buttons
         this.elements.clearCompleted.addEventListener('click', () => {
             this.confirmAction(
                 'Clear Completed Tasks',
-                'Are you sure you want to clear all completed tasks?',
+                `Move all completed tasks in "${this.getCurrentList().name}" to the trash?`,
                 () => this.clearCompleted()
             );
         });
@@ -110,11 +594,55 @@ class TodoApp {
         this.elements.clearAll.addEventListener('click', () => {
             this.confirmAction(
                 'Clear All Tasks',
-                'Are you sure you want to clear all tasks? This action cannot be undone.',
+                `Move all tasks in "${this.getCurrentList().name}" to the trash?`,
                 () => this.clearAll()
             );
         });
         
+        // Trash
+        this.elements.trashRetention.addEventListener('change', (e) => {
+            this.setTrashRetention(parseInt(e.target.value));
+        });
+        
+        this.elements.emptyTrashBtn.addEventListener('click', () => {
+            const count = this.store.getTrashedTasks(this.currentListId).length;
+            this.confirmAction(
+                'Empty Trash',
+                `Permanently delete the ${count} task${count === 1 ? '' : 's'} in the trash of "${this.getCurrentList().name}"?`,
+                () => this.emptyTrash()
+            );
+        });
+        
+        // Statistics panel
+        this.elements.statsBtn.addEventListener('click', () => {
+            this.toggleStatsPanel();
+        });
+        
+        this.elements.statsRange.addEventListener('change', () => {
+            this.renderStatsPanel();
+        });
+        
+        this.elements.statsScope.addEventListener('change', () => {
+            this.renderStatsPanel();
+        });
+        
+        // Export and import controls
+        this.elements.exportBtn.addEventListener('click', () => {
+            this.exportTasks({
+                listId: this.elements.exportScope.value === 'list' ? this.currentListId : null,
+                format: this.elements.exportFormat.value
+            });
+        });
+        
+        this.elements.importBtn.addEventListener('click', () => {
+            this.elements.importFile.click();
+        });
+        
+        this.elements.importFile.addEventListener('change', (e) => {
+            this.handleImportFile(e.target.files[0]);
+            e.target.value = '';
+        });
+        
         // Modal events
         this.elements.confirmYes.addEventListener('click', () => {
             this.executeConfirmedAction();
@@ -131,6 +659,51 @@ class TodoApp {
             }
         });
         
+        // Command palette and shortcut list
+        this.elements.commandInput.addEventListener('input', () => {
+            this.paletteIndex = 0;
+            this.renderCommandPalette();
+        });
+        
+        this.elements.commandInput.addEventListener('keydown', (e) => {
+            this.handlePaletteKeydown(e);
+        });
+        
+        this.elements.commandList.addEventListener('click', (e) => {
+            const item = e.target.closest('.command-item');
+            if (item) {
+                this.runCommand(item.dataset.commandId);
+            }
+        });
+        
+        this.elements.shortcutsBtn.addEventListener('click', () => {
+            this.openShortcuts();
+        });
+        
+        this.elements.shortcutsList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-rebind]');
+            if (button) {
+                this.recordingShortcut = button.dataset.rebind;
+                this.renderShortcuts();
+            }
+        });
+        
+        this.elements.resetShortcuts.addEventListener('click', () => {
+            this.resetShortcuts();
+        });
+        
+        this.elements.closeShortcuts.addEventListener('click', () => {
+            this.closeShortcuts();
+        });
+        
+        [this.elements.commandPalette, this.elements.shortcutsModal].forEach(modal => {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    modal === this.elements.commandPalette ? this.closeCommandPalette() : this.closeShortcuts();
+                }
+            });
+        });
+        
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             this.handleGlobalKeydown(e);
@@ -138,278 +711,2697 @@ class TodoApp {
     }
     
     /**
-     * Handle global keyboard shortcuts
+     * Handle global keyboard shortcuts. Escape is fixed; every other
+     * shortcut comes from the remappable command list.
      */
     handleGlobalKeydown(e) {
+        // The shortcut list is waiting for a new key
+        if (this.recordingShortcut) {
+            this.recordShortcut(e);
+            return;
+        }
+        
         // Escape key closes modal or cancels editing
         if (e.key === 'Escape') {
-            if (this.elements.confirmModal.classList.contains('show')) {
+            if (this.elements.commandPalette.classList.contains('show')) {
+                this.closeCommandPalette();
+            } else if (this.elements.shortcutsModal.classList.contains('show')) {
+                this.closeShortcuts();
+            } else if (this.elements.confirmModal.classList.contains('show')) {
                 this.hideModal();
+            } else if (this.editingNotesTaskId) {
+                this.cancelNotesEdit();
+            } else if (this.editingSubtask) {
+                this.cancelSubtaskEdit();
             } else if (this.editingTaskId) {
                 this.cancelEdit();
+            } else if (this.selectionMode) {
+                this.setSelectionMode(false);
             }
+            return;
         }
         
-        // Ctrl/Cmd + Enter to add task from anywhere
-        if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
-            this.elements.taskInput.focus();
+        if (document.querySelector('.modal.show')) return;
+        
+        const key = this.getShortcutKey(e);
+        const command = key && this.getCommands().find(c => c.keys.includes(key));
+        if (!command || (command.enabled && !command.enabled()) || this.isShortcutBlocked(e.target, key, command)) {
+            return;
         }
+        
+        e.preventDefault();
+        command.run();
     }
     
     /**
-     * Handle clicks within the task list
+     * Describe a key press the way shortcuts are stored, e.g. "j",
+     * "ArrowDown", "Ctrl+Shift+Z". Cmd counts as Ctrl. Shift is only
+     * named when it doesn't already show in the key ("?" not "Shift+/").
      */
-    handleTaskClick(e) {
-        const taskItem = e.target.closest('.task-item');
-        if (!taskItem) return;
-        
-        const taskId = parseInt(taskItem.dataset.taskId);
+    getShortcutKey(e) {
+        if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return null;
         
-        if (e.target.classList.contains('delete-btn')) {
-            this.confirmAction(
-                'Delete Task',
-                'Are you sure you want to delete this task?',
-                () => this.deleteTask(taskId)
-            );
-        } else if (e.target.classList.contains('edit-btn')) {
-            this.editTask(taskId);
-        } else if (e.target.classList.contains('save-btn')) {
-            this.saveEdit(taskId);
-        } else if (e.target.classList.contains('cancel-btn')) {
-            this.cancelEdit();
-        } else if (e.target.classList.contains('task-text')) {
-            // Double-click to edit
-            if (e.detail === 2) {
-                this.editTask(taskId);
-            }
+        const hasModifier = e.ctrlKey || e.metaKey || e.altKey;
+        let key = e.key === ' ' ? 'Space' : e.key;
+        if (key.length === 1 && hasModifier) {
+            key = key.toUpperCase();
         }
+        
+        const parts = [];
+        if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+        if (e.altKey) parts.push('Alt');
+        if (e.shiftKey && (key.length > 1 || hasModifier)) parts.push('Shift');
+        parts.push(key);
+        return parts.join('+');
     }
     
     /**
-     * Handle keypress events within the task list
+     * Shortcuts never fire while typing a task. Other fields keep their
+     * own keys; only Ctrl/Alt combinations that aren't text editing keys
+     * (undo, select all) get through.
      */
-    handleTaskKeypress(e) {
-        if (e.target.classList.contains('task-edit-input')) {
-            const taskId = parseInt(e.target.closest('.task-item').dataset.taskId);
-            
-            if (e.key === 'Enter') {
-                this.saveEdit(taskId);
-            } else if (e.key === 'Escape') {
-                this.cancelEdit();
-            }
-        }
+    isShortcutBlocked(target, key, command) {
+        if (!target || !target.tagName) return false;
+        if (target === this.elements.taskInput || target.closest('.task-item.editing') ||
+            target.classList.contains('notes-input')) return true;
+        
+        const isField = this.isTextField(target) || target.tagName.toLowerCase() === 'select';
+        return isField && (!/^(Ctrl|Alt)\+/.test(key) || Boolean(command.textEditing));
     }
     
     /**
-     * Handle change events (checkboxes)
+     * Every action that can be run from the command palette or bound to a
+     * shortcut: { id, label, run, enabled?, textEditing?, keys }
      */
-    handleTaskChange(e) {
-        if (e.target.classList.contains('task-checkbox')) {
-            const taskId = parseInt(e.target.closest('.task-item').dataset.taskId);
-            this.toggleTask(taskId);
-        }
+    getCommands() {
+        const sortLabel = (mode) => this.elements.sortMode.querySelector(`option[value="${mode}"]`).textContent;
+        const commands = [
+            { id: 'command-palette', label: 'Open command palette', run: () => this.openCommandPalette() },
+            { id: 'show-shortcuts', label: 'Show keyboard shortcuts', run: () => this.openShortcuts() },
+            { id: 'new-task', label: 'New task', run: () => this.elements.taskInput.focus() },
+            { id: 'focus-next', label: 'Focus next task', run: () => this.focusTaskBy(1) },
+            { id: 'focus-previous', label: 'Focus previous task', run: () => this.focusTaskBy(-1) },
+            { id: 'toggle-task', label: 'Complete or reopen focused task', run: () => this.runOnFocusedTask(taskId => {
+                this.keepTaskFocus(taskId);
+                this.toggleTask(taskId);
+            }) },
+            { id: 'edit-task', label: 'Edit focused task', run: () => this.runOnFocusedTask(taskId => {
+                if (this.isCalendarView()) {
+                    this.setView('list');
+                }
+                this.editTask(taskId);
+            }) },
+            { id: 'toggle-notes', label: 'Show or hide notes of focused task', run: () => this.runOnFocusedTask(taskId => {
+                if (this.isCalendarView()) {
+                    this.setView('list');
+                }
+                this.toggleNotesPanel(taskId);
+            }) },
+            { id: 'delete-task', label: 'Delete focused task', run: () => this.runOnFocusedTask(taskId => {
+                this.keepTaskFocus(taskId);
+                this.deleteTask(taskId);
+            }) },
+            { id: 'filter-all', label: 'Show all tasks', run: () => this.setFilter('all') },
+            { id: 'filter-active', label: 'Show active tasks', run: () => this.setFilter('active') },
+            { id: 'filter-completed', label: 'Show completed tasks', run: () => this.setFilter('completed') },
+            { id: 'filter-trash', label: 'Show trash', run: () => this.setFilter('trash') },
+            { id: 'focus-search', label: 'Search tasks', run: () => {
+                this.elements.searchInput.focus();
+                this.elements.searchInput.select();
+            } },
+            { id: 'undo', label: 'Undo', run: () => this.undo(), textEditing: true },
+            { id: 'redo', label: 'Redo', run: () => this.redo(), textEditing: true },
+            { id: 'select-all', label: 'Select all visible tasks', run: () => this.selectAllVisible(), enabled: () => this.selectionMode, textEditing: true },
+            { id: 'selection-mode', label: 'Select tasks', run: () => this.setSelectionMode(!this.selectionMode) },
+            ...VIEW_MODES.map(view => ({
+                id: `view-${view}`,
+                label: `${view.charAt(0).toUpperCase()}${view.slice(1)} view`,
+                run: () => this.setView(view)
+            })),
+            ...SORT_MODES.map(mode => ({ id: `sort-${mode}`, label: `Sort: ${sortLabel(mode)}`, run: () => this.setSort(mode) })),
+            ...this.lists.map(list => ({ id: `list-${list.id}`, label: `Go to list: ${list.name}`, run: () => this.switchList(list.id) })),
+            { id: 'manage-lists', label: 'Manage lists', run: () => this.toggleListManager() },
+            { id: 'manage-tags', label: 'Manage tags', run: () => this.toggleTagManager(), enabled: () => this.getAllTags().length > 0 },
+            { id: 'toggle-stats', label: 'Show or hide stats', run: () => this.toggleStatsPanel() },
+            { id: 'toggle-theme', label: 'Toggle dark mode', run: () => this.toggleTheme() },
+            { id: 'clear-completed', label: 'Clear completed tasks', run: () => this.elements.clearCompleted.click(), enabled: () => !this.elements.clearCompleted.disabled },
+            { id: 'clear-all', label: 'Clear all tasks', run: () => this.elements.clearAll.click(), enabled: () => !this.elements.clearAll.disabled },
+            { id: 'export', label: 'Export tasks', run: () => this.elements.exportBtn.click() },
+            { id: 'import', label: 'Import tasks', run: () => this.elements.importBtn.click() }
+        ];
+        
+        return commands.map(command => ({ ...command, keys: this.getShortcutKeys(command.id) }));
     }
     
     /**
-     * Add a new task
+     * Get the keys bound to a command, remapped or default
      */
-    addTask() {
-        const text = this.elements.taskInput.value.trim();
-        const deadline = this.elements.taskDeadline.value;
-        
-        if (!this.validateTaskInput(text)) {
-            return;
-        }
-        
-        const task = {
-            id: ++this.taskIdCounter,
-            text: text,
-            completed: false,
-            createdAt: new Date().toISOString(),
-            completedAt: null,
-            deadline: deadline || null
-        };
-        
-        this.tasks.push(task);
-        this.elements.taskInput.value = '';
-        this.elements.taskDeadline.value = '';
-        this.clearError();
-        this.saveTasks();
-        this.render();
-        this.elements.taskInput.focus();
-        
-        // Show success feedback
-        this.showTemporaryFeedback('Task added successfully!');
+    getShortcutKeys(commandId) {
+        return this.shortcutOverrides[commandId] || DEFAULT_SHORTCUTS[commandId] || [];
     }
     
     /**
-     * Validate task input
+     * Bind a key to a command, taking it away from any other command.
+     * A null key removes the command's shortcut.
      */
-    validateTaskInput(text) {
-        if (!text) {
-            this.showError('Please enter a task description.');
-            this.elements.taskInput.focus();
-            return false;
+    setShortcut(commandId, key) {
+        if (key) {
+            const boundIds = new Set([...Object.keys(DEFAULT_SHORTCUTS), ...Object.keys(this.shortcutOverrides)]);
+            boundIds.forEach(id => {
+                const keys = this.getShortcutKeys(id);
+                if (id !== commandId && keys.includes(key)) {
+                    this.shortcutOverrides[id] = keys.filter(k => k !== key);
+                }
+            });
         }
+        this.shortcutOverrides[commandId] = key ? [key] : [];
+        this.storeShortcuts();
+    }
+    
+    /**
+     * Take the next key press as the shortcut being recorded. Escape
+     * cancels and Backspace removes the shortcut.
+     */
+    recordShortcut(e) {
+        const key = this.getShortcutKey(e);
+        if (!key) return;
         
-        if (text.length > 100) {
-            this.showError('Task description must be 100 characters or less.');
-            this.elements.taskInput.focus();
-            return false;
-        }
+        e.preventDefault();
+        e.stopPropagation();
         
-        // Check for duplicate tasks
-        if (this.tasks.some(task => task.text.toLowerCase() === text.toLowerCase())) {
-            this.showError('This task already exists.');
-            this.elements.taskInput.focus();
-            return false;
+        const commandId = this.recordingShortcut;
+        this.recordingShortcut = null;
+        
+        if (key === 'Escape') {
+            this.renderShortcuts();
+            return;
         }
         
-        return true;
+        this.setShortcut(commandId, key === 'Backspace' ? null : key);
+        this.renderShortcuts();
+        this.announce(key === 'Backspace' ? 'Shortcut removed.' : `Shortcut set to ${key}.`);
     }
     
     /**
-     * Toggle task completion status
+     * Restore the default shortcuts
      */
-    toggleTask(taskId) {
-        const task = this.tasks.find(t => t.id === taskId);
-        if (task) {
-            task.completed = !task.completed;
-            task.completedAt = task.completed ? new Date().toISOString() : null;
-            this.saveTasks();
-            this.render();
-        }
+    resetShortcuts() {
+        this.shortcutOverrides = {};
+        this.recordingShortcut = null;
+        this.storeShortcuts();
+        this.renderShortcuts();
+        this.announce('Shortcuts reset to defaults.');
     }
     
     /**
-     * Delete a task
+     * Get the elements of the tasks on screen, in order
      */
-    deleteTask(taskId) {
-        const taskIndex = this.tasks.findIndex(t => t.id === taskId);
-        if (taskIndex > -1) {
-            const taskElement = document.querySelector(`[data-task-id="${taskId}"]`);
-            
-            // Add removal animation
-            if (taskElement) {
-                taskElement.classList.add('removing');
-                setTimeout(() => {
-                    this.tasks.splice(taskIndex, 1);
-                    this.saveTasks();
-                    this.render();
-                }, 250);
-            } else {
-                this.tasks.splice(taskIndex, 1);
-                this.saveTasks();
-                this.render();
-            }
-        }
+    getTaskElements() {
+        return this.isCalendarView()
+            ? [...this.elements.calendarView.querySelectorAll('.calendar-task')]
+            : [...this.elements.taskList.querySelectorAll('.task-item:not(.hidden)')];
     }
     
     /**
-     * Start editing a task
+     * Get the task id of a list item or calendar chip
      */
-    editTask(taskId) {
-        // Cancel any existing edit
-        if (this.editingTaskId) {
-            this.cancelEdit();
+    getTaskElementId(element) {
+        return parseInt(element.dataset.taskId || element.dataset.calendarTask);
+    }
+    
+    /**
+     * Move keyboard focus to the next (1) or previous (-1) task
+     */
+    focusTaskBy(direction) {
+        const elements = this.getTaskElements();
+        if (elements.length === 0) return;
+        
+        const index = elements.findIndex(element => element.contains(document.activeElement));
+        const next = index === -1
+            ? (direction > 0 ? 0 : elements.length - 1)
+            : Math.min(Math.max(index + direction, 0), elements.length - 1);
+        elements[next].focus();
+    }
+    
+    /**
+     * Run an action on the focused task, if any
+     */
+    runOnFocusedTask(action) {
+        const element = document.activeElement && document.activeElement.closest('.task-item, .calendar-task');
+        if (!element) {
+            this.announce('No task is focused. Move to a task first.');
+            return;
         }
+        action(this.getTaskElementId(element));
+    }
+    
+    /**
+     * Keep focus on a task across the next render, or on its neighbour
+     * if it leaves the screen
+     */
+    keepTaskFocus(taskId) {
+        const ids = this.getTaskElements().map(element => this.getTaskElementId(element));
+        const index = ids.indexOf(taskId);
+        this.pendingFocusTaskIds = [taskId, ids[index + 1], ids[index - 1]].filter(id => id !== undefined);
+    }
+    
+    /**
+     * Focus the task kept by keepTaskFocus()
+     */
+    restoreTaskFocus() {
+        if (!this.pendingFocusTaskIds) return;
         
-        this.editingTaskId = taskId;
-        this.renderTask(taskId);
+        const elements = this.getTaskElements();
+        const target = this.pendingFocusTaskIds
+            .map(id => elements.find(element => this.getTaskElementId(element) === id))
+            .find(Boolean);
+        this.pendingFocusTaskIds = null;
+        if (target) {
+            target.focus();
+        }
+    }
+    
+    /**
+     * Score how well a query fuzzy-matches a label: null when the query's
+     * letters don't all appear in order, higher for consecutive letters
+     * and word starts
+     */
+    fuzzyScore(query, text) {
+        const needle = normalizeSearchText(query).replace(/\s+/g, '');
+        const haystack = normalizeSearchText(text);
         
-        // Focus and select the edit input
-        const editInput = document.querySelector(`[data-task-id="${taskId}"] .task-edit-input`);
-        if (editInput) {
-            editInput.focus();
-            editInput.select();
+        let score = 0;
+        let from = 0;
+        let previous = -2;
+        for (const char of needle) {
+            const index = haystack.indexOf(char, from);
+            if (index === -1) return null;
+            score += index === previous + 1 ? 3 : 1;
+            if (index === 0 || /[\s:]/.test(haystack[index - 1])) {
+                score += 2;
+            }
+            previous = index;
+            from = index + 1;
         }
+        return score;
     }
     
     /**
-     * Save task edit
+     * Open the command palette
      */
-    saveEdit(taskId) {
-        const editInput = document.querySelector(`[data-task-id="${taskId}"] .task-edit-input`);
-        if (!editInput) return;
+    openCommandPalette() {
+        this.paletteReturnFocus = document.activeElement;
+        this.paletteIndex = 0;
+        this.elements.commandInput.value = '';
+        this.elements.commandPalette.classList.add('show');
+        this.elements.commandPalette.setAttribute('aria-hidden', 'false');
+        this.renderCommandPalette();
+        this.elements.commandInput.focus();
+    }
+    
+    /**
+     * Close the command palette and return focus where it was
+     */
+    closeCommandPalette() {
+        this.elements.commandPalette.classList.remove('show');
+        this.elements.commandPalette.setAttribute('aria-hidden', 'true');
+        if (this.paletteReturnFocus && this.paletteReturnFocus.isConnected) {
+            this.paletteReturnFocus.focus();
+        }
+        this.paletteReturnFocus = null;
+    }
+    
+    /**
+     * Get the commands matching the palette query, best match first
+     */
+    getPaletteCommands() {
+        const query = this.elements.commandInput.value.trim();
+        return this.getCommands()
+            .filter(command => !command.enabled || command.enabled())
+            .map(command => ({ command, score: query ? this.fuzzyScore(query, command.label) : 0 }))
+            .filter(({ score }) => score !== null)
+            .sort((a, b) => b.score - a.score)
+            .map(({ command }) => command);
+    }
+    
+    /**
+     * Arrow keys pick a command, Enter runs it
+     */
+    handlePaletteKeydown(e) {
+        const count = this.getPaletteCommands().length;
         
-        const newText = editInput.value.trim();
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (count > 0) {
+                this.paletteIndex = (this.paletteIndex + (e.key === 'ArrowDown' ? 1 : -1) + count) % count;
+                this.renderCommandPalette();
+            }
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            const command = this.getPaletteCommands()[this.paletteIndex];
+            if (command) {
+                this.runCommand(command.id);
+            }
+        }
+    }
+    
+    /**
+     * Close the palette and run a command
+     */
+    runCommand(commandId) {
+        const command = this.getCommands().find(c => c.id === commandId);
+        this.closeCommandPalette();
+        if (command && (!command.enabled || command.enabled())) {
+            command.run();
+        }
+    }
+    
+    /**
+     * Render the palette's matching commands
+     */
+    renderCommandPalette() {
+        const commands = this.getPaletteCommands();
+        this.paletteIndex = Math.min(this.paletteIndex, Math.max(commands.length - 1, 0));
         
-        if (!newText) {
-            this.showError('Task description cannot be empty.');
-            editInput.focus();
-            return;
+        this.elements.commandList.innerHTML = commands.length === 0
+            ? '<li class="command-empty">No matching commands</li>'
+            : commands.map((command, index) => `
+                <li class="command-item ${index === this.paletteIndex ? 'active' : ''}" id="command-option-${index}" role="option" aria-selected="${index === this.paletteIndex}" data-command-id="${this.escapeHtml(command.id)}">
+                    <span class="command-label">${this.escapeHtml(command.label)}</span>
+                    <span class="command-keys">${command.keys.map(key => this.formatShortcut(key)).join(' ')}</span>
+                </li>
+            `).join('');
+        
+        this.elements.commandInput.setAttribute('aria-activedescendant', commands.length ? `command-option-${this.paletteIndex}` : '');
+        const active = this.elements.commandList.querySelector('.command-item.active');
+        if (active && active.scrollIntoView) {
+            active.scrollIntoView({ block: 'nearest' });
         }
+    }
+    
+    /**
+     * Show a stored key as <kbd> elements, e.g. "Ctrl+K" -> Ctrl + K
+     */
+    formatShortcut(key) {
+        return key.split('+').map(part => `<kbd>${this.escapeHtml(KEY_LABELS[part] || part)}</kbd>`).join('+');
+    }
+    
+    /**
+     * Open the shortcut list
+     */
+    openShortcuts() {
+        this.recordingShortcut = null;
+        this.renderShortcuts();
+        this.elements.shortcutsModal.classList.add('show');
+        this.elements.shortcutsModal.setAttribute('aria-hidden', 'false');
+        this.elements.closeShortcuts.focus();
+    }
+    
+    /**
+     * Close the shortcut list
+     */
+    closeShortcuts() {
+        this.recordingShortcut = null;
+        this.elements.shortcutsModal.classList.remove('show');
+        this.elements.shortcutsModal.setAttribute('aria-hidden', 'true');
+    }
+    
+    /**
+     * Render every command with its shortcuts and a button to change them
+     */
+    renderShortcuts() {
+        this.elements.shortcutsList.innerHTML = this.getCommands().map(command => {
+            const isRecording = this.recordingShortcut === command.id;
+            return `
+                <tr class="${isRecording ? 'recording' : ''}">
+                    <td class="shortcut-label">${this.escapeHtml(command.label)}</td>
+                    <td class="shortcut-keys">${isRecording
+                        ? 'Press a key… (Esc cancels, Backspace removes)'
+                        : command.keys.map(key => this.formatShortcut(key)).join(' or ') || '–'}</td>
+                    <td><button class="subtask-btn" data-rebind="${this.escapeHtml(command.id)}" aria-label="Change shortcut for ${this.escapeHtml(command.label)}">Change</button></td>
+                </tr>
+            `;
+        }).join('');
         
-        if (newText.length > 100) {
-            this.showError('Task description must be 100 characters or less.');
-            editInput.focus();
-            return;
+        const recordingButton = this.recordingShortcut &&
+            this.elements.shortcutsList.querySelector('.recording [data-rebind]');
+        if (recordingButton) {
+            recordingButton.focus();
         }
+    }
+    
+    /**
+     * Check whether an element accepts typed text
+     */
+    isTextField(element) {
+        if (!element || !element.tagName) return false;
+        const tag = element.tagName.toLowerCase();
+        return tag === 'textarea' || element.isContentEditable ||
+            (tag === 'input' && !['checkbox', 'radio', 'button', 'submit', 'file'].includes(element.type));
+    }
+    
+    /**
+     * Handle clicks within the task list
+     */
+    handleTaskClick(e) {
+        const taskItem = e.target.closest('.task-item');
+        if (!taskItem) return;
         
-        // Check for duplicates (excluding current task)
-        const isDuplicate = this.tasks.some(task => 
-            task.id !== taskId && task.text.toLowerCase() === newText.toLowerCase()
-        );
+        const taskId = parseInt(taskItem.dataset.taskId);
+        const subtaskItem = e.target.closest('.subtask-item');
+        const subtaskId = subtaskItem ? parseInt(subtaskItem.dataset.subtaskId) : null;
         
-        if (isDuplicate) {
-            this.showError('This task already exists.');
-            editInput.focus();
+        // In selection mode, or with Shift/Ctrl held, clicking a task selects it
+        const isControl = e.target.closest('button, input, select, textarea, a');
+        if (e.target.classList.contains('task-select') ||
+            (!isControl && !subtaskItem && this.editingTaskId !== taskId &&
+                (this.selectionMode || e.shiftKey || e.ctrlKey || e.metaKey))) {
+            this.handleSelectionClick(taskId, e);
             return;
         }
         
-        const task = this.tasks.find(t => t.id === taskId);
-        if (task) {
-            task.text = newText;
-            this.editingTaskId = null;
-            this.clearError();
-            this.saveTasks();
-            this.render();
-            this.showTemporaryFeedback('Task updated successfully!');
+        if (e.target.classList.contains('tag-chip')) {
+            this.setTagFilter(e.target.dataset.tag);
+        } else if (e.target.classList.contains('subtasks-btn')) {
+            this.toggleSubtaskPanel(taskId);
+        } else if (e.target.classList.contains('subtask-add')) {
+            this.addSubtask(taskId);
+        } else if (e.target.classList.contains('subtask-edit')) {
+            this.editSubtask(taskId, subtaskId);
+        } else if (e.target.classList.contains('subtask-save')) {
+            this.saveSubtaskEdit(taskId, subtaskId);
+        } else if (e.target.classList.contains('subtask-delete')) {
+            this.deleteSubtask(taskId, subtaskId);
+        } else if (e.target.classList.contains('notes-btn')) {
+            this.toggleNotesPanel(taskId);
+        } else if (e.target.classList.contains('notes-edit')) {
+            this.editNotes(taskId);
+        } else if (e.target.classList.contains('notes-save')) {
+            this.saveNotes(taskId);
+        } else if (e.target.classList.contains('notes-cancel')) {
+            this.cancelNotesEdit();
+        } else if (e.target.classList.contains('subtask-text')) {
+            // Double-click to edit
+            if (e.detail === 2) {
+                this.editSubtask(taskId, subtaskId);
+            }
+        } else if (e.target.classList.contains('delete-btn')) {
+            this.confirmAction(
+                'Delete Task',
+                'Move this task to the trash?',
+                () => this.deleteTask(taskId)
+            );
+        } else if (e.target.classList.contains('restore-btn')) {
+            this.restoreTask(taskId);
+        } else if (e.target.classList.contains('purge-btn')) {
+            this.deleteTask(taskId);
+        } else if (e.target.classList.contains('edit-btn')) {
+            this.editTask(taskId);
+        } else if (e.target.classList.contains('task-edit-clear-deadline')) {
+            const deadlineInput = taskItem.querySelector('.task-edit-deadline');
+            deadlineInput.value = '';
+            deadlineInput.focus();
+        } else if (e.target.classList.contains('save-btn')) {
+            this.saveEdit(taskId);
+        } else if (e.target.classList.contains('cancel-btn')) {
+            this.cancelEdit();
+        } else if (e.target.classList.contains('task-text')) {
+            // Double-click to edit
+            if (e.detail === 2) {
+                this.editTask(taskId);
+            }
         }
     }
     
     /**
-     * Cancel task edit
+     * Handle keypress events within the task list
      */
-    cancelEdit() {
-        this.editingTaskId = null;
+    handleTaskKeypress(e) {
+        // Enter in any single-line field of the inline editor saves it;
+        // Escape never fires keypress, so handleGlobalKeydown cancels edits
+        if (e.target.matches('.task-item.editing input') && e.key === 'Enter') {
+            this.saveEdit(parseInt(e.target.closest('.task-item').dataset.taskId));
+        } else if (e.target.classList.contains('subtask-input') && e.key === 'Enter') {
+            this.addSubtask(parseInt(e.target.closest('.task-item').dataset.taskId));
+        } else if (e.target.classList.contains('subtask-edit-input') && e.key === 'Enter') {
+            const taskId = parseInt(e.target.closest('.task-item').dataset.taskId);
+            const subtaskId = parseInt(e.target.closest('.subtask-item').dataset.subtaskId);
+            this.saveSubtaskEdit(taskId, subtaskId);
+        }
+    }
+    
+    /**
+     * Handle change events (checkboxes)
+     */
+    handleTaskChange(e) {
+        if (e.target.classList.contains('task-edit-recurrence')) {
+            this.renderEditRecurrenceOptions(e.target.closest('.task-item'));
+        } else if (e.target.classList.contains('task-checkbox')) {
+            const taskId = parseInt(e.target.closest('.task-item').dataset.taskId);
+            this.toggleTask(taskId);
+        } else if (e.target.classList.contains('subtask-checkbox')) {
+            const taskId = parseInt(e.target.closest('.task-item').dataset.taskId);
+            const subtaskId = parseInt(e.target.closest('.subtask-item').dataset.subtaskId);
+            this.toggleSubtask(taskId, subtaskId);
+        }
+    }
+    
+    /**
+     * Add a new task
+     */
+    addTask() {
+        // Phrases like "tomorrow 5pm" or "!high" take precedence over the form fields
+        const parsed = parseQuickAdd(this.elements.taskInput.value);
+        const text = parsed.text;
+        const deadline = parsed.deadline ? toDeadlineValue(parsed.deadline) : this.elements.taskDeadline.value;
+        const fields = {
+            text,
+            deadline: deadline || null,
+            recurrence: parsed.recurrence || this.getRecurrenceFromForm(deadline),
+            priority: parsed.priority || this.elements.taskPriority.value,
+            tags: parsed.tags,
+            listId: this.currentListId
+        };
+        
+        try {
+            this.recordChange('Add task', () => {
+                this.store.add(fields);
+            });
+        } catch (error) {
+            if (!(error instanceof TaskValidationError)) throw error;
+            this.showError(error.message);
+            this.elements.taskInput.focus();
+            return;
+        }
+        this.elements.taskInput.value = '';
+        this.elements.taskDeadline.value = '';
+        this.elements.taskPriority.value = 'none';
+        this.resetRecurrenceForm();
+        this.renderQuickAddPreview();
         this.clearError();
+        this.saveTasks();
         this.render();
+        this.elements.taskInput.focus();
+        
+        // Show success feedback
+        this.showTemporaryFeedback('Task added successfully!', this.getUndoAction());
     }
     
     /**
-     * Set the current filter
+     * Show how the quick-add phrases in the task input will be read
      */
-    setFilter(filter) {
-        this.currentFilter = filter;
+    renderQuickAddPreview() {
+        const parsed = parseQuickAdd(this.elements.taskInput.value);
+        const parts = [];
         
-        // Update active filter button
-        this.elements.filterBtns.forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.filter === filter);
+        if (parsed.deadline) {
+            parts.push(`📅 ${parsed.deadline.toLocaleString('en-US', {
+                weekday: 'short',
+                month: 'short',
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            })}`);
+        }
+        if (parsed.recurrence) {
+            parts.push(`🔁 ${describeRecurrence(parsed.recurrence)}`);
+        }
+        if (parsed.priority) {
+            parts.push(`Priority: ${PRIORITY_LABELS[parsed.priority]}`);
+        }
+        parsed.tags.forEach(tag => parts.push(`#${tag}`));
+        
+        this.elements.quickAddPreview.classList.toggle('hidden', parts.length === 0);
+        this.elements.quickAddPreview.innerHTML = parts.length === 0 ? '' : `
+            <span class="quick-add-text">“${this.escapeHtml(parsed.text) || '…'}”</span>
+            ${parts.map(part => `<span class="quick-add-part">${this.escapeHtml(part)}</span>`).join('')}
+        `;
+    }
+    
+    /**
+     * Check task fields before they are saved by the inline editor.
+     * Returns an error message, or null when the fields are fine.
+     * excludeId and seriesId keep a task from clashing with itself.
+     */
+    getTaskFieldError(fields, { excludeId = null, seriesId = null } = {}) {
+        try {
+            this.store.validate({ listId: this.currentListId, ...fields }, { excludeId, seriesId });
+        } catch (error) {
+            if (error instanceof TaskValidationError) return error.message;
+            throw error;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Split "#tag" words out of task text. Returns the remaining text and
+     * the tags found, lowercased and without duplicates.
+     */
+    extractTags(rawText) {
+        const tags = [];
+        const text = rawText.replace(TAG_PATTERN, (match, space, tag) => {
+            const normalized = normalizeTag(tag);
+            if (normalized && !tags.includes(normalized)) {
+                tags.push(normalized);
+            }
+            return space;
+        });
+        
+        return { text: text.replace(/\s+/g, ' ').trim(), tags };
+    }
+    
+    /**
+     * Build the recurrence rule chosen in the add form, or null
+     */
+    getRecurrenceFromForm(deadline) {
+        const type = this.elements.taskRecurrence.value;
+        if (!type) return null;
+        
+        const days = [...this.elements.recurrenceDays.querySelectorAll('input:checked')]
+            .map(input => parseInt(input.value));
+        
+        return createRecurrence(type, deadline ? new Date(deadline) : new Date(), {
+            days,
+            interval: parseInt(this.elements.recurrenceInterval.value)
+        });
+    }
+    
+    /**
+     * Show the extra inputs needed by the selected recurrence type
+     */
+    renderRecurrenceOptions() {
+        const type = this.elements.taskRecurrence.value;
+        
+        this.elements.recurrenceOptions.classList.toggle('hidden', type !== 'weekly' && type !== 'interval');
+        this.elements.recurrenceDays.classList.toggle('hidden', type !== 'weekly');
+        this.elements.recurrenceIntervalLabel.classList.toggle('hidden', type !== 'interval');
+    }
+    
+    /**
+     * Clear the recurrence inputs after adding a task
+     */
+    resetRecurrenceForm() {
+        this.elements.taskRecurrence.value = '';
+        this.elements.recurrenceDays.querySelectorAll('input').forEach(input => {
+            input.checked = false;
         });
+        this.elements.recurrenceInterval.value = 2;
+        this.renderRecurrenceOptions();
+    }
+    
+    /**
+     * Toggle task completion status
+     */
+    toggleTask(taskId) {
+        const task = this.store.get(taskId);
+        if (task && !task.trashedAt) {
+            let nextTask = null;
+            this.recordChange(task.completed ? 'Uncomplete task' : 'Complete task', () => {
+                ({ nextTask } = this.store.toggle(taskId));
+            });
+            this.saveTasks();
+            this.render();
+            
+            const openSubtasks = (task.subtasks || []).filter(subtask => !subtask.completed);
+            if (task.completed && openSubtasks.length > 0) {
+                this.confirmAction(
+                    'Complete Subtasks',
+                    `Also mark the ${openSubtasks.length} remaining subtask${openSubtasks.length === 1 ? '' : 's'} as done?`,
+                    () => this.completeAllSubtasks(taskId)
+                );
+            } else if (nextTask) {
+                const due = new Date(nextTask.deadline).toLocaleString('en-US', {
+                    weekday: 'short',
+                    month: 'short',
+                    day: 'numeric'
+                });
+                this.showTemporaryFeedback(`Next occurrence due ${due}.`, this.getUndoAction());
+            }
+        }
+    }
+    
+    /**
+     * Move a task to the trash, or delete it for good (after asking) if it
+     * is already there
+     */
+    deleteTask(taskId) {
+        const task = this.store.get(taskId);
+        if (task && task.trashedAt) {
+            this.confirmAction(
+                'Delete Forever',
+                'Permanently delete this task? It cannot be restored from the trash.',
+                () => this.purgeTask(taskId)
+            );
+        } else if (task) {
+            const taskElement = document.querySelector(`[data-task-id="${taskId}"]`);
+            const removeTask = () => {
+                this.recordChange('Move task to trash', () => {
+                    this.store.trash(taskId);
+                });
+                if (this.editingTaskId === taskId) {
+                    this.editingTaskId = null;
+                }
+                this.saveTasks();
+                this.render();
+                this.showTemporaryFeedback('Task moved to the trash.', this.getUndoAction());
+            };
+            
+            // Add removal animation
+            if (taskElement) {
+                taskElement.classList.add('removing');
+                setTimeout(removeTask, 250);
+            } else {
+                removeTask();
+            }
+        }
+    }
+    
+    /**
+     * Take a task out of the trash, back to its old place in its list
+     */
+    restoreTask(taskId) {
+        const task = this.store.get(taskId);
+        if (!task || !task.trashedAt) return;
         
+        try {
+            this.recordChange('Restore task', () => {
+                this.store.restoreFromTrash(taskId);
+            });
+        } catch (error) {
+            if (!(error instanceof TaskValidationError)) throw error;
+            this.showError(`Could not restore "${task.text}": ${error.message}`);
+            return;
+        }
+        this.saveTasks();
         this.render();
+        this.showTemporaryFeedback('Task restored.', this.getUndoAction());
     }
     
     /**
-     * Clear completed tasks
+     * Delete a trashed task for good
      */
-    clearCompleted() {
-        this.tasks = this.tasks.filter(task => !task.completed);
+    purgeTask(taskId) {
+        this.recordChange('Delete task forever', () => {
+            this.store.remove(taskId);
+        });
+        this.saveTasks();
+        this.render();
+        this.showTemporaryFeedback('Task deleted forever.', this.getUndoAction());
+    }
+    
+    /**
+     * Delete every trashed task of the current list for good
+     */
+    emptyTrash() {
+        this.recordChange('Empty trash', () => {
+            this.store.getTrashedTasks(this.currentListId).forEach(task => {
+                this.store.remove(task.id);
+            });
+        });
         this.saveTasks();
         this.render();
-        this.showTemporaryFeedback('Completed tasks cleared!');
+        this.showTemporaryFeedback('Trash emptied.', this.getUndoAction());
+    }
+    
+    /**
+     * Change how many days trashed tasks are kept (0 for no limit), then
+     * purge the ones already past it
+     */
+    setTrashRetention(days) {
+        if (!TRASH_RETENTION_DAYS.includes(days)) return;
+        
+        this.trashRetentionDays = days;
+        this.storeTrashSettings();
+        this.purgeExpiredTrash();
+        this.render();
+    }
+    
+    /**
+     * Delete tasks trashed longer ago than the retention period. This is
+     * housekeeping, so other tabs and the server hear about it but it is
+     * not added to the undo history.
+     */
+    purgeExpiredTrash(now = new Date()) {
+        if (this.trashRetentionDays === 0) return;
+        
+        const cutoff = new Date(now.getTime() - this.trashRetentionDays * 24 * 60 * 60 * 1000);
+        const result = this.applyStoreChange(() => {
+            this.store.purgeTrash(cutoff);
+        });
+        if (!result || result.changes.length === 0) return;
+        
+        this.publishChanges(result.changes.map(change => ({ task: change.after, index: change.afterIndex, before: change.before })));
+        this.saveTasks();
+        this.renderPreservingEdit();
+    }
+    
+    /**
+     * Show or hide the add-subtask field of a task
+     */
+    toggleSubtaskPanel(taskId) {
+        if (this.expandedTaskIds.has(taskId)) {
+            this.expandedTaskIds.delete(taskId);
+        } else {
+            this.expandedTaskIds.add(taskId);
+        }
+        this.renderTask(taskId);
+        
+        const subtaskInput = document.querySelector(`[data-task-id="${taskId}"] .subtask-input`);
+        if (subtaskInput) {
+            subtaskInput.focus();
+        }
+    }
+    
+    /**
+     * Save a task's changed subtask list as one undoable change. Returns
+     * false, after showing why, if the store rejects it.
+     */
+    updateSubtasks(taskId, subtasks, label) {
+        try {
+            this.updateTask(taskId, { subtasks }, label);
+        } catch (error) {
+            if (!(error instanceof TaskValidationError)) throw error;
+            this.showError(error.message);
+            return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Add a subtask from a task's subtask input
+     */
+    addSubtask(taskId) {
+        const task = this.store.get(taskId);
+        const subtaskInput = document.querySelector(`[data-task-id="${taskId}"] .subtask-input`);
+        if (!task || !subtaskInput) return;
+        
+        const subtasks = task.subtasks || [];
+        const subtask = {
+            id: subtasks.reduce((max, s) => Math.max(max, s.id), 0) + 1,
+            text: subtaskInput.value.trim(),
+            completed: false
+        };
+        if (!this.updateSubtasks(taskId, [...subtasks, subtask], 'Add subtask')) {
+            subtaskInput.focus();
+            return;
+        }
+        this.clearError();
+        this.render();
+        
+        // Keep the field open and focused for quick entry
+        const newInput = document.querySelector(`[data-task-id="${taskId}"] .subtask-input`);
+        if (newInput) {
+            newInput.focus();
+        }
+    }
+    
+    /**
+     * Toggle a subtask, offering to complete the parent once all are done
+     */
+    toggleSubtask(taskId, subtaskId) {
+        const task = this.store.get(taskId);
+        const subtask = task && (task.subtasks || []).find(s => s.id === subtaskId);
+        if (!subtask) return;
+        
+        const completed = !subtask.completed;
+        const subtasks = task.subtasks.map(s => (s.id === subtaskId ? { ...s, completed } : s));
+        if (!this.updateSubtasks(taskId, subtasks, completed ? 'Complete subtask' : 'Uncomplete subtask')) return;
+        this.render();
+        
+        if (completed && !task.completed && subtasks.every(s => s.completed)) {
+            this.confirmAction(
+                'Complete Task',
+                `All subtasks are done. Mark "${task.text}" as complete?`,
+                () => this.toggleTask(taskId)
+            );
+        }
+    }
+    
+    /**
+     * Mark every subtask of a task as done
+     */
+    completeAllSubtasks(taskId) {
+        const task = this.store.get(taskId);
+        if (!task) return;
+        
+        const subtasks = (task.subtasks || []).map(subtask => ({ ...subtask, completed: true }));
+        if (this.updateSubtasks(taskId, subtasks, 'Complete subtasks')) {
+            this.render();
+        }
+    }
+    
+    /**
+     * Start editing a subtask
+     */
+    editSubtask(taskId, subtaskId) {
+        this.editingSubtask = { taskId, subtaskId };
+        this.renderTask(taskId);
+        
+        const editInput = document.querySelector(
+            `[data-task-id="${taskId}"] [data-subtask-id="${subtaskId}"] .subtask-edit-input`
+        );
+        if (editInput) {
+            editInput.focus();
+            editInput.select();
+        }
+    }
+    
+    /**
+     * Save a subtask edit
+     */
+    saveSubtaskEdit(taskId, subtaskId) {
+        const task = this.store.get(taskId);
+        const subtask = task && (task.subtasks || []).find(s => s.id === subtaskId);
+        const editInput = document.querySelector(
+            `[data-task-id="${taskId}"] [data-subtask-id="${subtaskId}"] .subtask-edit-input`
+        );
+        if (!subtask || !editInput) return;
+        
+        const text = editInput.value.trim();
+        const subtasks = task.subtasks.map(s => (s.id === subtaskId ? { ...s, text } : s));
+        if (!this.updateSubtasks(taskId, subtasks, 'Edit subtask')) {
+            editInput.focus();
+            return;
+        }
+        this.editingSubtask = null;
+        this.clearError();
+        this.render();
+    }
+    
+    /**
+     * Cancel a subtask edit
+     */
+    cancelSubtaskEdit() {
+        this.editingSubtask = null;
+        this.clearError();
+        this.render();
+    }
+    
+    /**
+     * Delete a subtask
+     */
+    deleteSubtask(taskId, subtaskId) {
+        const task = this.store.get(taskId);
+        if (!task) return;
+        
+        const subtasks = (task.subtasks || []).filter(s => s.id !== subtaskId);
+        if (this.updateSubtasks(taskId, subtasks, 'Delete subtask')) {
+            this.render();
+            this.showTemporaryFeedback('Subtask deleted.', this.getUndoAction());
+        }
+    }
+    
+    /**
+     * Build the subtask checklist shown inside a task item
+     */
+    renderSubtasks(task) {
+        const subtasks = task.subtasks || [];
+        const isExpanded = this.expandedTaskIds.has(task.id);
+        if (subtasks.length === 0 && !isExpanded) return '';
+        
+        const items = subtasks.map(subtask => {
+            const isEditing = this.editingSubtask &&
+                this.editingSubtask.taskId === task.id && this.editingSubtask.subtaskId === subtask.id;
+            
+            if (isEditing) {
+                return `
+                    <li class="subtask-item editing" data-subtask-id="${subtask.id}">
+                        <input type="text" class="subtask-edit-input" value="${this.escapeHtml(subtask.text)}" maxlength="${SUBTASK_TEXT_MAX_LENGTH}" aria-label="Edit subtask">
+                        <button class="subtask-btn subtask-save" aria-label="Save subtask">Save</button>
+                    </li>
+                `;
+            }
+            
+            return `
+                <li class="subtask-item ${subtask.completed ? 'completed' : ''}" data-subtask-id="${subtask.id}">
+                    <input type="checkbox" class="subtask-checkbox" ${subtask.completed ? 'checked' : ''} aria-label="Mark subtask as ${subtask.completed ? 'incomplete' : 'complete'}">
+                    <span class="subtask-text" title="Double-click to edit">${this.escapeHtml(subtask.text)}</span>
+                    <button class="subtask-btn subtask-edit" aria-label="Edit subtask">Edit</button>
+                    <button class="subtask-btn subtask-delete" aria-label="Delete subtask">×</button>
+                </li>
+            `;
+        }).join('');
+        
+        const addRow = isExpanded ? `
+            <div class="subtask-add-row">
+                <input type="text" class="subtask-input" placeholder="Add a subtask..." maxlength="${SUBTASK_TEXT_MAX_LENGTH}" aria-label="New subtask">
+                <button class="subtask-btn subtask-add" aria-label="Add subtask">Add</button>
+            </div>
+        ` : '';
+        
+        return `
+            <div class="subtasks">
+                <ul class="subtask-list">${items}</ul>
+                ${addRow}
+            </div>
+        `;
+    }
+    
+    /**
+     * Show or hide a task's details pane
+     */
+    toggleNotesPanel(taskId) {
+        if (this.expandedNoteIds.has(taskId)) {
+            this.expandedNoteIds.delete(taskId);
+            if (this.editingNotesTaskId === taskId) {
+                this.editingNotesTaskId = null;
+            }
+            this.renderTask(taskId);
+            return;
+        }
+        
+        this.expandedNoteIds.add(taskId);
+        
+        // Tasks without notes open straight into the editor
+        const task = this.tasks.find(t => t.id === taskId);
+        if (task && !task.notes) {
+            this.editNotes(taskId);
+        } else {
+            this.renderTask(taskId);
+        }
+    }
+    
+    /**
+     * Start editing a task's notes
+     */
+    editNotes(taskId) {
+        this.editingNotesTaskId = taskId;
+        this.expandedNoteIds.add(taskId);
+        this.renderTask(taskId);
+        
+        const notesInput = document.querySelector(`[data-task-id="${taskId}"] .notes-input`);
+        if (notesInput) {
+            notesInput.focus();
+            notesInput.setSelectionRange(notesInput.value.length, notesInput.value.length);
+        }
+    }
+    
+    /**
+     * Save the notes being edited
+     */
+    saveNotes(taskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        const notesInput = document.querySelector(`[data-task-id="${taskId}"] .notes-input`);
+        if (!task || !notesInput) return;
+        
+        const notes = notesInput.value.replace(/\s+$/, '');
+        if (notes.length > NOTES_MAX_LENGTH) {
+            this.showError(`Notes must be ${NOTES_MAX_LENGTH} characters or less.`);
+            notesInput.focus();
+            return;
+        }
+        
+        if (notes !== (task.notes || '')) {
+            this.updateTask(taskId, { notes }, 'Edit notes');
+        }
+        this.editingNotesTaskId = null;
+        this.clearError();
+        this.render();
+    }
+    
+    /**
+     * Cancel a notes edit, closing the pane if the task has no notes
+     */
+    cancelNotesEdit() {
+        const task = this.tasks.find(t => t.id === this.editingNotesTaskId);
+        if (task && !task.notes) {
+            this.expandedNoteIds.delete(task.id);
+        }
+        this.editingNotesTaskId = null;
+        this.clearError();
+        this.render();
+    }
+    
+    /**
+     * Build the details pane: rendered notes, or the notes editor
+     */
+    renderNotes(task) {
+        if (!this.expandedNoteIds.has(task.id)) return '';
+        
+        if (this.editingNotesTaskId === task.id) {
+            return `
+                <div class="task-notes editing">
+                    <textarea class="notes-input" rows="5" maxlength="${NOTES_MAX_LENGTH}" aria-label="Task notes" placeholder="Add notes, links or acceptance criteria...">${this.escapeHtml(task.notes || '')}</textarea>
+                    <div class="notes-footer">
+                        <span class="notes-hint">Markdown: **bold**, *italic*, \`code\`, - lists, [links](https://...) · Ctrl+Enter to save</span>
+                        <button class="subtask-btn notes-save" aria-label="Save notes">Save</button>
+                        <button class="subtask-btn notes-cancel" aria-label="Cancel notes edit">Cancel</button>
+                    </div>
+                </div>
+            `;
+        }
+        
+        // renderMarkdown() escapes all text itself and only emits its own tags
+        return `
+            <div class="task-notes">
+                <div class="notes-body">${renderMarkdown(task.notes)}</div>
+                <button class="subtask-btn notes-edit" aria-label="Edit notes">Edit notes</button>
+            </div>
+        `;
+    }
+    
+    /**
+     * Start editing a task
+     */
+    editTask(taskId) {
+        const task = this.store.get(taskId);
+        if (!task || task.trashedAt) return;
+        
+        // Cancel any existing edit
+        if (this.editingTaskId) {
+            this.cancelEdit();
+        }
+        
+        this.editingTaskId = taskId;
+        if (this.editingNotesTaskId === taskId) {
+            this.editingNotesTaskId = null;
+        }
+        this.renderTask(taskId);
+        
+        // Focus and select the edit input
+        const editInput = document.querySelector(`[data-task-id="${taskId}"] .task-edit-input`);
+        if (editInput) {
+            editInput.focus();
+            editInput.select();
+        }
+    }
+    
+    /**
+     * Save every field of the inline editor
+     */
+    saveEdit(taskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        const taskItem = document.querySelector(`[data-task-id="${taskId}"]`);
+        const editInput = taskItem && taskItem.querySelector('.task-edit-input');
+        if (!task || !editInput) return;
+        
+        const { text, tags } = this.extractTags(editInput.value);
+        const listSelect = taskItem.querySelector('.task-edit-list');
+        const deadline = taskItem.querySelector('.task-edit-deadline').value || null;
+        const changes = {
+            text,
+            tags,
+            deadline,
+            recurrence: this.getRecurrenceFromEditor(taskItem, task, deadline),
+            priority: taskItem.querySelector('.task-edit-priority').value,
+            listId: listSelect ? parseInt(listSelect.value) : task.listId,
+            notes: taskItem.querySelector('.task-edit-notes').value.replace(/\s+$/, '')
+        };
+        
+        const error = this.getTaskFieldError(changes, { excludeId: taskId, seriesId: getSeriesId(task) });
+        if (error) {
+            this.showError(error);
+            editInput.focus();
+            return;
+        }
+        
+        const isMove = changes.listId !== task.listId;
+        const updated = this.updateTask(taskId, changes, isMove ? 'Move task to list' : 'Edit task');
+        this.editingTaskId = null;
+        this.clearError();
+        this.render();
+        if (updated) {
+            this.showTemporaryFeedback(
+                isMove ? `Task moved to "${this.getList(changes.listId).name}".` : 'Task updated successfully!',
+                this.getUndoAction()
+            );
+        }
+    }
+    
+    /**
+     * Apply changed fields to a task as one undoable change and save.
+     * Every edit of an existing task's fields goes through here. Returns
+     * false if nothing changed; invalid fields throw a TaskValidationError.
+     */
+    updateTask(taskId, changes, label = 'Edit task') {
+        let updated = false;
+        this.recordChange(label, () => {
+            updated = this.store.update(taskId, changes);
+        });
+        if (updated) {
+            this.saveTasks();
+        }
+        return updated;
+    }
+    
+    /**
+     * Build the recurrence rule chosen in a task's inline editor, or null.
+     * Monthly rules are kept as they are unless the deadline they are
+     * anchored on changed.
+     */
+    getRecurrenceFromEditor(taskItem, task, deadline) {
+        const type = taskItem.querySelector('.task-edit-recurrence').value;
+        if (!type) return null;
+        
+        const isAnchored = type !== 'weekly' && type !== 'interval';
+        if (isAnchored && task.recurrence && task.recurrence.type === type && deadline === task.deadline) {
+            return task.recurrence;
+        }
+        
+        const days = [...taskItem.querySelectorAll('.task-edit-days input:checked')]
+            .map(input => parseInt(input.value));
+        
+        return createRecurrence(type, deadline ? new Date(deadline) : new Date(), {
+            days,
+            interval: parseInt(taskItem.querySelector('.task-edit-interval').value)
+        });
+    }
+    
+    /**
+     * Show the day or interval inputs for the repeat chosen in an editor
+     */
+    renderEditRecurrenceOptions(taskItem) {
+        const type = taskItem.querySelector('.task-edit-recurrence').value;
+        taskItem.querySelector('.task-edit-days').classList.toggle('hidden', type !== 'weekly');
+        taskItem.querySelector('.task-edit-interval-label').classList.toggle('hidden', type !== 'interval');
+    }
+    
+    /**
+     * Cancel task edit
+     */
+    cancelEdit() {
+        this.editingTaskId = null;
+        this.clearError();
+        this.render();
+    }
+    
+    /**
+     * Set the current filter
+     */
+    setFilter(filter) {
+        this.currentFilter = filter;
+        
+        // Update active filter button
+        this.elements.filterBtns.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.filter === filter);
+        });
+        
+        this.rememberListFilters();
+        this.render();
+    }
+    
+    /**
+     * Handle Alt+Up/Down to move the focused task, and Ctrl+Enter to save
+     * notes or the inline editor (plain Enter adds a line there)
+     */
+    handleTaskKeydown(e) {
+        const taskItem = e.target.closest('.task-item');
+        if (!taskItem) return;
+        
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            if (e.target.classList.contains('notes-input')) {
+                e.preventDefault();
+                this.saveNotes(parseInt(taskItem.dataset.taskId));
+            } else if (taskItem.classList.contains('editing')) {
+                e.preventDefault();
+                this.saveEdit(parseInt(taskItem.dataset.taskId));
+            }
+            return;
+        }
+        
+        if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+        if (this.isTextField(e.target)) return;
+        
+        e.preventDefault();
+        this.moveTaskBy(parseInt(taskItem.dataset.taskId), e.key === 'ArrowUp' ? -1 : 1);
+    }
+    
+    /**
+     * Move a task one place up (-1) or down (1) among the visible tasks.
+     * Hidden tasks keep their place in the full list.
+     */
+    moveTaskBy(taskId, direction) {
+        if (!this.canReorder()) return;
+        
+        const visibleTasks = this.getFilteredTasks();
+        const index = visibleTasks.findIndex(t => t.id === taskId);
+        const neighbor = visibleTasks[index + direction];
+        
+        if (index === -1) return;
+        if (!neighbor) {
+            this.announce(direction < 0 ? 'Already at the top of the list.' : 'Already at the bottom of the list.');
+            return;
+        }
+        
+        this.moveTask(taskId, neighbor.id, direction < 0 ? 'before' : 'after');
+    }
+    
+    /**
+     * Move a task to just before or after another task
+     */
+    moveTask(taskId, targetId, position) {
+        if (taskId === targetId) return;
+        
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task || !this.tasks.some(t => t.id === targetId)) return;
+        
+        this.recordChange('Move task', () => {
+            this.tasks.splice(this.tasks.indexOf(task), 1);
+            const targetIndex = this.tasks.findIndex(t => t.id === targetId);
+            this.tasks.splice(position === 'after' ? targetIndex + 1 : targetIndex, 0, task);
+        });
+        
+        this.saveTasks();
+        this.render();
+        
+        const visibleTasks = this.getFilteredTasks();
+        this.announce(`Moved "${task.text}" to position ${visibleTasks.indexOf(task) + 1} of ${visibleTasks.length}.`);
+        
+        const handle = this.elements.taskList.querySelector(`[data-task-id="${taskId}"] .drag-handle`);
+        if (handle) {
+            handle.focus();
+        }
+    }
+    
+    /**
+     * Manual reordering only makes sense while the list is in manual order
+     */
+    canReorder() {
+        if (this.currentFilter === 'trash') {
+            this.showTemporaryFeedback('Tasks in the trash cannot be rearranged.');
+            return false;
+        }
+        if (this.currentSort !== 'manual' || this.currentView !== 'list') {
+            this.showTemporaryFeedback('Switch to the list view in manual order to rearrange tasks.');
+            return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Start dragging a task by its handle. Pointer events cover mouse, pen and touch.
+     */
+    startDrag(e, handle) {
+        const taskItem = handle.closest('.task-item');
+        if (!taskItem || !this.canReorder()) return;
+        
+        e.preventDefault();
+        handle.setPointerCapture(e.pointerId);
+        taskItem.classList.add('dragging');
+        
+        this.dragState = {
+            pointerId: e.pointerId,
+            taskId: parseInt(taskItem.dataset.taskId),
+            targetId: null,
+            position: null
+        };
+    }
+    
+    /**
+     * Track the task under the pointer and mark where the drop would land
+     */
+    updateDrag(e) {
+        if (!this.dragState || e.pointerId !== this.dragState.pointerId) return;
+        
+        this.clearDropIndicator();
+        
+        const element = document.elementFromPoint(e.clientX, e.clientY);
+        const target = element && element.closest('.task-item');
+        const targetId = target ? parseInt(target.dataset.taskId) : null;
+        
+        if (!target || targetId === this.dragState.taskId) {
+            this.dragState.targetId = null;
+            return;
+        }
+        
+        const rect = target.getBoundingClientRect();
+        const position = e.clientY < rect.top + rect.height / 2 ? 'before' : 'after';
+        target.classList.add(`drop-${position}`);
+        
+        this.dragState.targetId = targetId;
+        this.dragState.position = position;
+    }
+    
+    /**
+     * Finish a drag, moving the task if it was dropped on another one
+     */
+    endDrag(e, shouldDrop) {
+        if (!this.dragState || e.pointerId !== this.dragState.pointerId) return;
+        
+        const { taskId, targetId, position } = this.dragState;
+        this.dragState = null;
+        this.clearDropIndicator();
+        
+        const taskItem = this.elements.taskList.querySelector(`[data-task-id="${taskId}"]`);
+        if (taskItem) {
+            taskItem.classList.remove('dragging');
+        }
+        
+        if (shouldDrop && targetId !== null) {
+            this.moveTask(taskId, targetId, position);
+        }
+    }
+    
+    /**
+     * Remove drop markers left by updateDrag()
+     */
+    clearDropIndicator() {
+        this.elements.taskList.querySelectorAll('.drop-before, .drop-after').forEach(item => {
+            item.classList.remove('drop-before', 'drop-after');
+        });
+    }
+    
+    /**
+     * Read a message out to screen readers
+     */
+    announce(message) {
+        this.elements.announcer.textContent = message;
+    }
+    
+    /**
+     * Switch between the list, agenda, week and month views
+     */
+    setView(view) {
+        this.currentView = VIEW_MODES.includes(view) ? view : 'list';
+        this.elements.viewBtns.forEach(btn => {
+            const isActive = btn.dataset.view === this.currentView;
+            btn.classList.toggle('active', isActive);
+            btn.setAttribute('aria-pressed', String(isActive));
+        });
+        this.storeView(this.currentView);
+        this.render();
+    }
+    
+    /**
+     * Move the calendar back (-1) or forward (1) a week or month; 0 returns to today
+     */
+    shiftCalendar(direction) {
+        if (direction === 0) {
+            this.calendarDate = new Date();
+        } else if (this.currentView === 'month') {
+            this.calendarDate = new Date(this.calendarDate.getFullYear(), this.calendarDate.getMonth() + direction, 1);
+        } else {
+            this.calendarDate = new Date(this.calendarDate.getFullYear(), this.calendarDate.getMonth(), this.calendarDate.getDate() + direction * 7);
+        }
+        this.render();
+    }
+    
+    /**
+     * Handle checkbox clicks and double-click to edit on calendar tasks
+     */
+    handleCalendarClick(e) {
+        const chip = e.target.closest('.calendar-task');
+        if (!chip) return;
+        
+        const taskId = parseInt(chip.dataset.calendarTask);
+        if (e.target.classList.contains('calendar-task-checkbox')) {
+            this.toggleTask(taskId);
+        } else if (e.detail === 2) {
+            // Double-click opens the task for editing in the list view
+            this.setView('list');
+            this.editTask(taskId);
+        }
+    }
+    
+    /**
+     * Alt+Left/Right moves a focused calendar task a day, Alt+Up/Down a week
+     */
+    handleCalendarKeydown(e) {
+        const chip = e.target.closest('.calendar-task');
+        const offsets = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+        if (!chip || !e.altKey || !(e.key in offsets)) return;
+        
+        e.preventDefault();
+        const taskId = parseInt(chip.dataset.calendarTask);
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task || !task.deadline) return;
+        
+        const date = this.fromDateKey(task.deadline.slice(0, 10));
+        date.setDate(date.getDate() + offsets[e.key]);
+        this.rescheduleTask(taskId, this.toDateKey(date));
+    }
+    
+    /**
+     * Start dragging a calendar task to another day
+     */
+    startCalendarDrag(e, chip) {
+        chip.setPointerCapture(e.pointerId);
+        this.calendarDrag = {
+            pointerId: e.pointerId,
+            taskId: parseInt(chip.dataset.calendarTask),
+            dateKey: null
+        };
+    }
+    
+    /**
+     * Highlight the day under the pointer
+     */
+    updateCalendarDrag(e) {
+        if (!this.calendarDrag || e.pointerId !== this.calendarDrag.pointerId) return;
+        
+        const element = document.elementFromPoint(e.clientX, e.clientY);
+        const day = element && element.closest('.calendar-day');
+        
+        this.elements.calendarView.querySelectorAll('.drop-target').forEach(cell => cell.classList.remove('drop-target'));
+        if (day) {
+            day.classList.add('drop-target');
+            this.elements.calendarView.querySelector(`[data-calendar-task="${this.calendarDrag.taskId}"]`).classList.add('dragging');
+        }
+        this.calendarDrag.dateKey = day ? day.dataset.date : null;
+    }
+    
+    /**
+     * Drop a calendar task, rescheduling it to the day it was released on
+     */
+    endCalendarDrag(e, shouldDrop) {
+        if (!this.calendarDrag || e.pointerId !== this.calendarDrag.pointerId) return;
+        
+        const { taskId, dateKey } = this.calendarDrag;
+        this.calendarDrag = null;
+        this.elements.calendarView.querySelectorAll('.drop-target, .dragging').forEach(element => {
+            element.classList.remove('drop-target', 'dragging');
+        });
+        
+        if (shouldDrop && dateKey) {
+            this.rescheduleTask(taskId, dateKey);
+        }
+    }
+    
+    /**
+     * Move a task's deadline to another day, keeping its time of day
+     */
+    rescheduleTask(taskId, dateKey) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task || !task.deadline || task.deadline.startsWith(dateKey)) return;
+        
+        this.updateTask(taskId, { deadline: `${dateKey}${task.deadline.slice(10)}` }, 'Reschedule task');
+        this.render();
+        
+        const label = this.fromDateKey(dateKey).toLocaleDateString('en-US', {
+            weekday: 'long',
+            month: 'long',
+            day: 'numeric'
+        });
+        this.announce(`Moved "${task.text}" to ${label}.`);
+        this.showTemporaryFeedback(`Rescheduled to ${label}.`, this.getUndoAction());
+        
+        const chip = this.elements.calendarView.querySelector(`[data-calendar-task="${taskId}"]`);
+        if (chip) {
+            chip.focus();
+        }
+    }
+    
+    /**
+     * Get the "YYYY-MM-DD" key of a date in local time
+     */
+    toDateKey(date) {
+        return toDeadlineValue(date).slice(0, 10);
+    }
+    
+    /**
+     * Get local midnight of a "YYYY-MM-DD" key
+     */
+    fromDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+    
+    /**
+     * Set the search query and re-render the list
+     */
+    setSearch(query) {
+        this.searchQuery = query;
+        this.searchTerms = parseSearchQuery(query);
+        if (this.elements.searchInput.value !== query) {
+            this.elements.searchInput.value = query;
+        }
+        this.render();
+    }
+    
+    /**
+     * Escape text and wrap search matches in <mark>. Matching runs on the
+     * normalized text, so each normalized character keeps a pointer back
+     * to the original character it came from.
+     */
+    highlightSearchMatches(text) {
+        const { include } = this.searchTerms;
+        if (include.length === 0) return this.escapeHtml(text);
+        
+        const chars = Array.from(text);
+        let normalized = '';
+        const origin = [];
+        chars.forEach((char, index) => {
+            const folded = normalizeSearchText(char);
+            normalized += folded;
+            for (let i = 0; i < folded.length; i++) origin.push(index);
+        });
+        
+        const marked = new Array(chars.length).fill(false);
+        include.forEach(term => {
+            let start = normalized.indexOf(term);
+            while (start !== -1) {
+                for (let i = start; i < start + term.length; i++) marked[origin[i]] = true;
+                start = normalized.indexOf(term, start + term.length);
+            }
+        });
+        
+        let html = '';
+        let index = 0;
+        while (index < chars.length) {
+            let end = index;
+            while (end < chars.length && marked[end] === marked[index]) end++;
+            const segment = this.escapeHtml(chars.slice(index, end).join(''));
+            html += marked[index] ? `<mark class="search-match">${segment}</mark>` : segment;
+            index = end;
+        }
+        return html;
+    }
+    
+    /**
+     * Set the current sort mode
+     */
+    setSort(sortMode) {
+        this.currentSort = SORT_MODES.includes(sortMode) ? sortMode : 'manual';
+        this.elements.sortMode.value = this.currentSort;
+        this.storeSort(this.currentSort);
+        this.render();
+    }
+    
+    /**
+     * Filter the list to one tag (null shows every tag)
+     */
+    setTagFilter(tag) {
+        this.currentTag = tag;
+        this.rememberListFilters();
+        this.render();
+    }
+    
+    /**
+     * Get every tag in use in the current list with the number of tasks
+     * carrying it
+     */
+    getAllTags() {
+        const counts = new Map();
+        this.getListTasks().forEach(task => {
+            (task.tags || []).forEach(tag => {
+                counts.set(tag, (counts.get(tag) || 0) + 1);
+            });
+        });
+        return [...counts.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([tag, count]) => ({ tag, count }));
+    }
+    
+    /**
+     * Rename a tag on every task in the current list. Renaming to a tag
+     * that already exists merges the two.
+     */
+    renameTag(oldTag, newName) {
+        const newTag = normalizeTag(newName);
+        if (!newTag) {
+            this.showError('Tags can only contain letters, numbers, "-" and "_" (30 characters max).');
+            return;
+        }
+        if (newTag === oldTag) return;
+        
+        const isMerge = this.getListTasks().some(task => (task.tags || []).includes(newTag));
+        
+        this.recordChange(isMerge ? 'Merge tags' : 'Rename tag', () => {
+            this.getListTasks().forEach(task => {
+                if ((task.tags || []).includes(oldTag)) {
+                    this.store.update(task.id, {
+                        tags: [...new Set(task.tags.map(tag => tag === oldTag ? newTag : tag))]
+                    });
+                }
+            });
+        });
+        
+        if (this.currentTag === oldTag) {
+            this.currentTag = newTag;
+        }
+        this.clearError();
+        this.saveTasks();
+        this.render();
+        this.showTemporaryFeedback(
+            isMerge ? `Merged #${oldTag} into #${newTag}.` : `Renamed #${oldTag} to #${newTag}.`,
+            this.getUndoAction()
+        );
+    }
+    
+    /**
+     * Remove a tag from every task in the current list
+     */
+    deleteTag(tag) {
+        this.recordChange('Delete tag', () => {
+            this.getListTasks().forEach(task => {
+                if ((task.tags || []).includes(tag)) {
+                    this.store.update(task.id, { tags: task.tags.filter(t => t !== tag) });
+                }
+            });
+        });
+        
+        if (this.currentTag === tag) {
+            this.currentTag = null;
+        }
+        this.saveTasks();
+        this.render();
+        this.showTemporaryFeedback(`Deleted #${tag}.`, this.getUndoAction());
+    }
+    
+    /**
+     * Show or hide the tag manager
+     */
+    toggleTagManager() {
+        const isHidden = this.elements.tagManager.classList.toggle('hidden');
+        this.elements.manageTagsBtn.setAttribute('aria-expanded', String(!isHidden));
+        this.renderTagBar();
+    }
+    
+    /**
+     * Handle rename and delete buttons in the tag manager
+     */
+    handleTagManagerClick(e) {
+        const item = e.target.closest('.tag-manager-item');
+        if (!item) return;
+        
+        const tag = item.dataset.tag;
+        if (e.target.classList.contains('tag-rename-btn')) {
+            this.renameTag(tag, item.querySelector('.tag-rename-input').value);
+        } else if (e.target.classList.contains('tag-delete-btn')) {
+            this.confirmAction(
+                'Delete Tag',
+                `Remove #${tag} from every task in this list? The tasks themselves are kept.`,
+                () => this.deleteTag(tag)
+            );
+        }
+    }
+    
+    /**
+     * Find a list by id
+     */
+    getList(listId) {
+        return this.store.getList(listId);
+    }
+    
+    /**
+     * Get the list being shown
+     */
+    getCurrentList() {
+        return this.getList(this.currentListId) || this.lists[0];
+    }
+    
+    /**
+     * Get the tasks of one list (the current list by default) in list order
+     */
+    getListTasks(listId = this.currentListId) {
+        return this.store.getListTasks(listId);
+    }
+    
+    /**
+     * Show another list, restoring the filters last used with it
+     */
+    switchList(listId) {
+        if (listId === this.currentListId || !this.getList(listId)) return;
+        
+        this.currentListId = listId;
+        this.editingTaskId = null;
+        this.editingNotesTaskId = null;
+        this.selectedIds.clear();
+        this.selectionAnchorId = null;
+        this.restoreListFilters();
+        this.storeListState();
+        this.render();
+    }
+    
+    /**
+     * Apply the status and tag filters saved for the current list
+     */
+    restoreListFilters() {
+        const state = this.listFilters[this.currentListId] || {};
+        this.currentFilter = ['all', 'active', 'completed', 'trash'].includes(state.filter) ? state.filter : 'all';
+        this.currentTag = typeof state.tag === 'string' ? state.tag : null;
+        
+        this.elements.filterBtns.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.filter === this.currentFilter);
+        });
+    }
+    
+    /**
+     * Save the current filters as the current list's filters
+     */
+    rememberListFilters() {
+        this.listFilters[this.currentListId] = { filter: this.currentFilter, tag: this.currentTag };
+        this.storeListState();
+    }
+    
+    /**
+     * Check a new list name. Returns the trimmed name, or null after
+     * showing why it can't be used.
+     */
+    validateListName(name, excludeId = null) {
+        const trimmed = String(name || '').trim();
+        
+        if (!trimmed) {
+            this.showError('Please enter a list name.');
+            return null;
+        }
+        if (trimmed.length > 40) {
+            this.showError('List names must be 40 characters or less.');
+            return null;
+        }
+        if (this.lists.some(list => list.id !== excludeId && list.name.toLowerCase() === trimmed.toLowerCase())) {
+            this.showError('A list with this name already exists.');
+            return null;
+        }
+        
+        this.clearError();
+        return trimmed;
+    }
+    
+    /**
+     * Add a list after the existing ones and switch to it
+     */
+    createList(name) {
+        const listName = this.validateListName(name);
+        if (!listName) return null;
+        
+        const list = { id: ++this.listIdCounter, name: listName };
+        this.recordChange('Create list', () => {
+            this.lists.push(list);
+        });
+        this.elements.newListInput.value = '';
+        this.saveTasks();
+        this.switchList(list.id);
+        this.showTemporaryFeedback(`Created list "${listName}".`, this.getUndoAction());
+        return list;
+    }
+    
+    /**
+     * Rename a list
+     */
+    renameList(listId, name) {
+        const list = this.getList(listId);
+        if (!list) return;
+        
+        const listName = this.validateListName(name, listId);
+        if (!listName || listName === list.name) return;
+        
+        const oldName = list.name;
+        this.recordChange('Rename list', () => {
+            list.name = listName;
+        });
+        this.saveTasks();
+        this.render();
+        this.showTemporaryFeedback(`Renamed "${oldName}" to "${listName}".`, this.getUndoAction());
+    }
+    
+    /**
+     * Move a list one place up (-1) or down (1) in the switcher
+     */
+    moveList(listId, direction) {
+        const index = this.lists.findIndex(list => list.id === listId);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= this.lists.length) return;
+        
+        this.recordChange('Move list', () => {
+            const [list] = this.lists.splice(index, 1);
+            this.lists.splice(target, 0, list);
+        });
+        this.saveTasks();
+        this.render();
+        this.announce(`Moved "${this.lists[target].name}" to position ${target + 1} of ${this.lists.length}.`);
+    }
+    
+    /**
+     * Delete a list. Its tasks move to the trash of the first remaining
+     * list, so they can still be restored there. The last list can't be
+     * deleted.
+     */
+    deleteList(listId) {
+        const list = this.getList(listId);
+        if (!list) return;
+        
+        if (this.lists.length === 1) {
+            this.showError('You need at least one list.');
+            return;
+        }
+        
+        const trashList = this.getTrashListFor(listId);
+        this.recordChange('Delete list', () => {
+            this.tasks.filter(task => task.listId === listId).forEach(task => {
+                task.listId = trashList.id;
+                this.store.trash(task.id);
+            });
+            this.lists = this.lists.filter(l => l.id !== listId);
+        });
+        delete this.listFilters[listId];
+        this.storeListState();
+        this.saveTasks();
+        this.render();
+        this.showTemporaryFeedback(`Deleted list "${list.name}".`, this.getUndoAction());
+    }
+    
+    /**
+     * Get the list whose trash takes the tasks of a deleted list
+     */
+    getTrashListFor(listId) {
+        return this.lists.find(list => list.id !== listId);
+    }
+    
+    /**
+     * Show or hide the list manager
+     */
+    toggleListManager() {
+        const isHidden = this.elements.listManager.classList.toggle('hidden');
+        this.elements.manageListsBtn.setAttribute('aria-expanded', String(!isHidden));
+        this.renderListSwitcher();
+        if (!isHidden) {
+            this.elements.newListInput.focus();
+        }
+    }
+    
+    /**
+     * Handle rename, move and delete buttons in the list manager
+     */
+    handleListManagerClick(e) {
+        const item = e.target.closest('.list-manager-item');
+        if (!item) return;
+        
+        const listId = parseInt(item.dataset.listId);
+        if (e.target.classList.contains('list-rename-btn')) {
+            this.renameList(listId, item.querySelector('.list-rename-input').value);
+        } else if (e.target.classList.contains('list-move-btn')) {
+            this.moveList(listId, parseInt(e.target.dataset.direction));
+        } else if (e.target.classList.contains('list-delete-btn')) {
+            const list = this.getList(listId);
+            const count = this.getListTasks(listId).length;
+            const trashList = this.getTrashListFor(listId);
+            this.confirmAction(
+                'Delete List',
+                count > 0 && trashList
+                    ? `Delete "${list.name}"? Its ${count} task${count === 1 ? '' : 's'} will move to the trash of "${trashList.name}".`
+                    : `Delete "${list.name}"?`,
+                () => this.deleteList(listId)
+            );
+        }
+    }
+    
+    /**
+     * Turn selection mode on or off. Leaving it clears the selection.
+     */
+    setSelectionMode(enabled) {
+        this.selectionMode = enabled;
+        if (!enabled) {
+            this.selectedIds.clear();
+            this.selectionAnchorId = null;
+        }
+        this.render();
+    }
+    
+    /**
+     * Select a task from a click: Shift extends a range from the last
+     * clicked task, anything else toggles the one task
+     */
+    handleSelectionClick(taskId, e) {
+        this.selectionMode = true;
+        
+        const visibleIds = this.getFilteredTasks().map(task => task.id);
+        const anchorIndex = visibleIds.indexOf(this.selectionAnchorId);
+        
+        if (e.shiftKey && anchorIndex !== -1) {
+            const index = visibleIds.indexOf(taskId);
+            const [start, end] = index < anchorIndex ? [index, anchorIndex] : [anchorIndex, index];
+            visibleIds.slice(start, end + 1).forEach(id => this.selectedIds.add(id));
+        } else {
+            if (this.selectedIds.has(taskId)) {
+                this.selectedIds.delete(taskId);
+            } else {
+                this.selectedIds.add(taskId);
+            }
+            this.selectionAnchorId = taskId;
+        }
+        
+        this.render();
+    }
+    
+    /**
+     * Select exactly the tasks the current filters show
+     */
+    selectAllVisible() {
+        this.selectionMode = true;
+        this.selectedIds.clear();
+        this.getFilteredTasks().forEach(task => this.selectedIds.add(task.id));
+        this.render();
+    }
+    
+    /**
+     * Get the selected tasks in list order
+     */
+    getSelectedTasks() {
+        return this.tasks.filter(task => this.selectedIds.has(task.id));
+    }
+    
+    /**
+     * Dispatch a button from the bulk action bar
+     */
+    handleBulkAction(action) {
+        if (action === 'select-all') {
+            this.selectAllVisible();
+            return;
+        }
+        if (action === 'select-none') {
+            this.selectedIds.clear();
+            this.render();
+            return;
+        }
+        
+        const selected = this.getSelectedTasks();
+        if (selected.length === 0) return;
+        const count = `${selected.length} task${selected.length === 1 ? '' : 's'}`;
+        
+        switch (action) {
+            case 'complete':
+                this.bulkUpdate('Complete tasks', `Completed ${count}.`, () => {
+                    selected.forEach(task => {
+                        this.store.toggle(task.id, true);
+                    });
+                });
+                break;
+            case 'uncomplete':
+                this.bulkUpdate('Uncomplete tasks', `Marked ${count} as not done.`, () => {
+                    selected.forEach(task => {
+                        this.store.toggle(task.id, false);
+                    });
+                });
+                break;
+            case 'set-deadline': {
+                const deadline = this.elements.bulkDeadline.value;
+                if (!deadline) {
+                    this.showTemporaryFeedback('Pick a deadline first.');
+                    this.elements.bulkDeadline.focus();
+                    return;
+                }
+                
+                let updated = 0;
+                let lastError = null;
+                this.recordChange('Set deadline', () => {
+                    selected.forEach(task => {
+                        try {
+                            this.store.update(task.id, { deadline });
+                            updated++;
+                        } catch (error) {
+                            if (!(error instanceof TaskValidationError)) throw error;
+                            lastError = error;
+                        }
+                    });
+                });
+                this.saveTasks();
+                this.render();
+                if (updated === 0) {
+                    this.showTemporaryFeedback(lastError.message);
+                } else {
+                    this.showTemporaryFeedback(`Set the deadline of ${count}.`, this.getUndoAction());
+                }
+                break;
+            }
+            case 'clear-deadline':
+                this.bulkUpdate('Clear deadline', `Cleared the deadline of ${count}.`, () => {
+                    selected.forEach(task => {
+                        this.store.update(task.id, { deadline: null });
+                    });
+                });
+                break;
+            case 'move-list': {
+                const list = this.getList(parseInt(this.elements.bulkMoveList.value));
+                if (!list || list.id === this.currentListId) return;
+                
+                // Tasks whose text the target list already has stay where they are
+                let moved = 0;
+                this.selectedIds.clear();
+                this.recordChange('Move tasks to list', () => {
+                    selected.forEach(task => {
+                        try {
+                            this.store.update(task.id, { listId: list.id });
+                            moved++;
+                        } catch (error) {
+                            if (!(error instanceof TaskValidationError)) throw error;
+                        }
+                    });
+                });
+                this.saveTasks();
+                this.render();
+                if (moved === 0) {
+                    this.showTemporaryFeedback(`"${list.name}" already has these tasks.`);
+                } else {
+                    this.showTemporaryFeedback(moved === selected.length
+                        ? `Moved ${count} to "${list.name}".`
+                        : `Moved ${moved} of ${count} to "${list.name}"; it already has the rest.`, this.getUndoAction());
+                }
+                break;
+            }
+            case 'move-top':
+            case 'move-bottom':
+                if (!this.canReorder()) return;
+                this.bulkUpdate('Move tasks', `Moved ${count} to the ${action === 'move-top' ? 'top' : 'bottom'}.`, () => {
+                    const rest = this.tasks.filter(task => !this.selectedIds.has(task.id));
+                    this.tasks = action === 'move-top' ? [...selected, ...rest] : [...rest, ...selected];
+                });
+                break;
+            case 'restore': {
+                // Tasks whose text is back in their list meanwhile stay in the trash
+                let restored = 0;
+                this.selectedIds.clear();
+                this.recordChange('Restore tasks', () => {
+                    selected.forEach(task => {
+                        try {
+                            this.store.restoreFromTrash(task.id);
+                            restored++;
+                        } catch (error) {
+                            if (!(error instanceof TaskValidationError)) throw error;
+                        }
+                    });
+                });
+                this.saveTasks();
+                this.render();
+                if (restored === 0) {
+                    this.showTemporaryFeedback('These tasks already exist in their list.');
+                } else {
+                    this.showTemporaryFeedback(restored === selected.length
+                        ? `Restored ${count}.`
+                        : `Restored ${restored} of ${count}; the rest already exist in their list.`, this.getUndoAction());
+                }
+                break;
+            }
+            case 'delete':
+                if (this.currentFilter === 'trash') {
+                    this.confirmAction(
+                        'Delete Tasks Forever',
+                        `Permanently delete ${count}?`,
+                        () => {
+                            this.selectedIds.clear();
+                            this.bulkUpdate('Delete tasks forever', `Deleted ${count} forever.`, () => {
+                                this.tasks = this.tasks.filter(task => !selected.includes(task));
+                            });
+                        }
+                    );
+                } else {
+                    this.confirmAction(
+                        'Delete Tasks',
+                        `Move ${count} to the trash?`,
+                        () => {
+                            this.selectedIds.clear();
+                            this.bulkUpdate('Move tasks to trash', `Moved ${count} to the trash.`, () => {
+                                selected.forEach(task => {
+                                    this.store.trash(task.id);
+                                });
+                            });
+                        }
+                    );
+                }
+                break;
+        }
+    }
+    
+    /**
+     * Apply one change to many tasks as a single undo step, save and render
+     */
+    bulkUpdate(label, message, mutate) {
+        this.recordChange(label, mutate);
+        this.saveTasks();
+        this.render();
+        this.showTemporaryFeedback(message, this.getUndoAction());
+    }
+    
+    /**
+     * Move the completed tasks of the current list to the trash
+     */
+    clearCompleted() {
+        this.recordChange('Clear completed tasks', () => {
+            this.getListTasks().filter(task => task.completed).forEach(task => {
+                this.store.trash(task.id);
+            });
+        });
+        this.saveTasks();
+        this.render();
+        this.showTemporaryFeedback('Completed tasks moved to the trash.', this.getUndoAction());
+    }
+    
+    /**
+     * Move every task of the current list to the trash
+     */
+    clearAll() {
+        this.recordChange('Clear all tasks', () => {
+            this.getListTasks().forEach(task => {
+                this.store.trash(task.id);
+            });
+        });
+        this.editingTaskId = null;
+        this.editingNotesTaskId = null;
+        this.saveTasks();
+        this.render();
+        this.showTemporaryFeedback('All tasks moved to the trash.', this.getUndoAction());
+    }
+    
+    /**
+     * Run a mutation of this.tasks (and/or this.lists) and record it in
+     * the undo history. Only the tasks that changed are stored, together
+     * with their positions before and after, so entries stay small. The
+     * few lists are stored whole when they change.
+     */
+    recordChange(label, mutate) {
+        const result = this.applyStoreChange(mutate);
+        if (result) {
+            this.commitChanges(label, result);
+        }
+    }
+    
+    /**
+     * Run a store batch that the app renders itself, so the store's
+     * change listener leaves it alone
+     */
+    applyStoreChange(mutate, options) {
+        this.ownChanges++;
+        try {
+            return this.store.batch(mutate, options);
+        } finally {
+            this.ownChanges--;
+        }
+    }
+    
+    /**
+     * Add the changes of a store batch to the undo history and send them
+     * to other tabs
+     */
+    commitChanges(label, { changes, lists }) {
+        if (changes.length === 0 && !lists) return;
+        
+        const entry = { label, changes };
+        if (lists) {
+            entry.lists = lists;
+        }
+        
+        this.publishChanges(changes.map(change => ({ task: change.after, index: change.afterIndex, before: change.before })));
+        
+        this.history.undo.push(entry);
+        if (this.history.undo.length > this.historyLimit) {
+            this.history.undo.shift();
+        }
+        this.history.redo = [];
+        this.saveHistory();
+    }
+    
+    /**
+     * Move the list to one side of a history entry ('before' or 'after')
+     */
+    applyHistoryEntry(entry, side) {
+        const indexKey = `${side}Index`;
+        const otherSide = side === 'before' ? 'after' : 'before';
+        const touchedIds = new Set(entry.changes.map(change => (change.before || change.after).id));
+        const now = new Date().toISOString();
+        
+        // Take every touched task out, then put back the target versions
+        // in ascending position order so untouched tasks keep their places.
+        // Restored tasks get a fresh updatedAt so other tabs accept them.
+        this.applyStoreChange(() => {
+            this.tasks = this.tasks.filter(task => !touchedIds.has(task.id));
+            entry.changes
+                .filter(change => change[side])
+                .sort((a, b) => a[indexKey] - b[indexKey])
+                .forEach(change => {
+                    this.tasks.splice(change[indexKey], 0, { ...JSON.parse(JSON.stringify(change[side])), updatedAt: now });
+                });
+            
+            if (entry.lists) {
+                this.lists = JSON.parse(JSON.stringify(entry.lists[side]));
+                this.listsUpdatedAt = now;
+            }
+        }, { stamp: false });
+        
+        this.publishChanges(entry.changes.map(change => ({
+            task: change[side] ? this.tasks.find(task => task.id === change[side].id) : null,
+            index: change[indexKey],
+            before: change[otherSide]
+        })));
+        
+        this.editingTaskId = null;
+        this.editingNotesTaskId = null;
+        this.saveTasks();
+        this.saveHistory();
+        this.render();
+    }
+    
+    /**
+     * Listen for task changes made in other tabs
+     */
+    initTabSync() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.syncChannel = new BroadcastChannel(SYNC_CHANNEL);
+            this.syncChannel.addEventListener('message', (e) => {
+                this.handleSyncMessage(e.data);
+            });
+            return;
+        }
+        
+        // Fallback: the storage event fires in every other tab
+        window.addEventListener('storage', (e) => {
+            if (e.key === SYNC_CHANNEL && e.newValue) {
+                try {
+                    this.handleSyncMessage(JSON.parse(e.newValue));
+                } catch (error) {
+                    console.error('Failed to read sync message:', error);
+                }
+            }
+        });
+    }
+    
+    /**
+     * Send changed and deleted tasks, plus the current lists, to other
+     * open tabs. Each change is { task, index, before }; a null task
+     * means deleted.
+     */
+    publishChanges(changes) {
+        const now = new Date().toISOString();
+        const message = {
+            tabId: this.tabId,
+            taskIdCounter: this.taskIdCounter,
+            lists: { items: this.lists, listIdCounter: this.listIdCounter, updatedAt: this.listsUpdatedAt },
+            upserts: [],
+            deletes: []
+        };
+        
+        changes.forEach(change => {
+            if (change.task) {
+                message.upserts.push({ task: change.task, index: change.index });
+            } else if (change.before) {
+                this.tombstones.set(change.before.id, now);
+                message.deletes.push({ id: change.before.id, deletedAt: now });
+            }
+        });
+        
+        // The sync server takes the same message; it waits in the
+        // engine's queue while the server is unreachable
+        if (this.serverSync) {
+            this.serverSync.enqueue(message);
+        }
+        
+        try {
+            if (this.syncChannel) {
+                this.syncChannel.postMessage(message);
+            } else if (window.localStorage) {
+                // Include a nonce so identical messages still fire the event
+                localStorage.setItem(SYNC_CHANNEL, JSON.stringify({ ...message, nonce: Date.now() }));
+            }
+        } catch (error) {
+            console.error('Failed to notify other tabs:', error);
+        }
+    }
+    
+    /**
+     * Merge changes from another tab task by task, keeping whichever
+     * version of a task has the newer updatedAt stamp
+     */
+    handleSyncMessage(message) {
+        if (!message || message.tabId === this.tabId) return;
+        
+        // Entries without the minimum task shape are dropped, not stored
+        const upserts = Array.isArray(message.upserts)
+            ? message.upserts.filter(entry => entry && this.store.isValidTask(entry.task))
+            : [];
+        const deletes = Array.isArray(message.deletes)
+            ? message.deletes.filter(entry => entry && typeof entry.id === 'number')
+            : [];
+        
+        const localEdits = [];
+        let changed = false;
+        
+        // Remote versions keep their own updatedAt stamps
+        this.applyStoreChange(() => {
+            this.taskIdCounter = Math.max(this.taskIdCounter, message.taskIdCounter || 0);
+            
+            // Lists are small, so the newer set replaces ours whole
+            if (message.lists) {
+                this.listIdCounter = Math.max(this.listIdCounter, message.lists.listIdCounter || 0);
+                if (this.isNewer(message.lists.updatedAt, this.listsUpdatedAt)) {
+                    this.lists = this.store.sanitizeLists(message.lists.items);
+                    this.listsUpdatedAt = message.lists.updatedAt;
+                    changed = true;
+                }
+            }
+            
+            deletes.forEach(({ id, deletedAt }) => {
+                const index = this.tasks.findIndex(task => task.id === id);
+                this.tombstones.set(id, deletedAt);
+                if (index > -1 && !this.isNewer(this.tasks[index].updatedAt, deletedAt)) {
+                    this.tasks.splice(index, 1);
+                    changed = true;
+                }
+            });
+            
+            upserts.forEach(({ task: remote, index }) => {
+                const localIndex = this.tasks.findIndex(task => task.id === remote.id);
+                const local = this.tasks[localIndex];
+                
+                if (!local) {
+                    const deletedAt = this.tombstones.get(remote.id);
+                    if (!deletedAt || this.isNewer(remote.updatedAt, deletedAt)) {
+                        this.tasks.splice(Math.min(index, this.tasks.length), 0, remote);
+                        changed = true;
+                    }
+                    return;
+                }
+                
+                if (local.createdAt && remote.createdAt && local.createdAt !== remote.createdAt) {
+                    // Both tabs created a task with the same id. The later task
+                    // moves to a new id; only the tab that owns it does the move.
+                    if (this.compareTaskAge(local, remote) > 0) {
+                        local.id = ++this.taskIdCounter;
+                        local.updatedAt = new Date().toISOString();
+                        localEdits.push({ task: local, index: localIndex + 1, before: null });
+                        this.tasks.splice(localIndex, 0, remote);
+                        changed = true;
+                    }
+                    return;
+                }
+                
+                if (this.isNewer(remote.updatedAt, local.updatedAt)) {
+                    this.tasks.splice(localIndex, 1);
+                    this.tasks.splice(Math.min(index, this.tasks.length), 0, remote);
+                    changed = true;
+                }
+            });
+            
+            // Tasks left in a list that no longer exists (one deleted in
+            // another tab, or sent by a tab that missed the delete) move to
+            // the first list, and the move is sent back out
+            const listIds = new Set(this.lists.map(list => list.id));
+            this.tasks.forEach((task, index) => {
+                if (listIds.has(task.listId)) return;
+                const before = { ...task };
+                task.listId = this.lists[0].id;
+                task.updatedAt = new Date().toISOString();
+                localEdits.push({ task, index, before });
+                changed = true;
+            });
+        }, { stamp: false });
+        
+        if (!changed) return;
+        
+        if (this.editingTaskId && !this.tasks.some(task => task.id === this.editingTaskId)) {
+            this.editingTaskId = null;
+            this.showError('The task you were editing was deleted in another tab.');
+        }
+        if (this.editingNotesTaskId && !this.tasks.some(task => task.id === this.editingNotesTaskId)) {
+            this.editingNotesTaskId = null;
+            this.showError('The task you were editing was deleted in another tab.');
+        }
+        
+        if (localEdits.length) {
+            this.publishChanges(localEdits);
+        }
+        this.saveTasks();
+        this.renderPreservingEdit();
+    }
+    
+    /**
+     * Compare ISO timestamps, treating a missing stamp as oldest
+     */
+    isNewer(stamp, than) {
+        return (stamp ? Date.parse(stamp) : 0) > (than ? Date.parse(than) : 0);
+    }
+    
+    /**
+     * Order two tasks that share an id: negative if a was created first
+     */
+    compareTaskAge(a, b) {
+        return Date.parse(a.createdAt) - Date.parse(b.createdAt) || a.text.localeCompare(b.text);
+    }
+    
+    /**
+     * Connect to a sync server, or stop syncing when the address is empty
+     */
+    setSyncEndpoint(value) {
+        const endpoint = value.trim();
+        if (endpoint && !/^https?:\/\/\S+$/i.test(endpoint)) {
+            this.showError('Please enter a sync server address starting with http:// or https://.');
+            this.elements.syncEndpoint.focus();
+            return;
+        }
+        
+        this.clearError();
+        if (endpoint === this.syncEndpoint) {
+            if (this.serverSync) this.serverSync.sync();
+            return;
+        }
+        
+        this.stopServerSync();
+        if (endpoint) {
+            this.startServerSync(endpoint);
+        }
+        this.storeSyncEndpoint();
+        this.renderSyncStatus();
+        this.showTemporaryFeedback(endpoint ? 'Syncing with the server.' : 'Server sync turned off.');
+    }
+    
+    /**
+     * Start a sync engine for an endpoint. Changes pulled from the server
+     * are merged like changes from another tab.
+     */
+    startServerSync(endpoint) {
+        this.syncEndpoint = endpoint;
+        this.serverSync = new SyncEngine({
+            store: this.store,
+            endpoint,
+            applyChanges: (message) => this.handleSyncMessage(message),
+            onStatus: () => this.renderSyncStatus()
+        });
+        this.serverSync.start();
+    }
+    
+    /**
+     * Stop the sync engine, if one is running
+     */
+    stopServerSync() {
+        if (this.serverSync) {
+            this.serverSync.stop();
+            this.serverSync = null;
+        }
+        this.syncEndpoint = '';
+    }
+    
+    /**
+     * Show or hide the sync settings
+     */
+    toggleSyncPanel() {
+        const isHidden = this.elements.syncPanel.classList.toggle('hidden');
+        this.elements.syncStatus.setAttribute('aria-expanded', String(!isHidden));
+        if (!isHidden) {
+            this.elements.syncEndpoint.value = this.syncEndpoint;
+            this.elements.syncEndpoint.focus();
+        }
+    }
+    
+    /**
+     * Show the sync status in the header and the details in the sync panel
+     */
+    renderSyncStatus() {
+        const { status, pending, lastSyncedAt, error } = this.serverSync
+            ? this.serverSync.getStatus()
+            : { status: 'off', pending: 0, lastSyncedAt: null, error: null };
+        
+        let detail;
+        if (status === 'off') {
+            detail = 'Enter the address of a sync server to share tasks between devices.';
+        } else if (status === 'error') {
+            detail = error ? error.message : 'Sync failed.';
+        } else if (status === 'offline') {
+            detail = 'The sync server cannot be reached. Changes are kept here and sent when it is back.';
+        } else if (lastSyncedAt) {
+            detail = `Last synced ${new Date(lastSyncedAt).toLocaleString('en-US', {
+                month: 'short',
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            })}.`;
+        } else {
+            detail = 'Connecting…';
+        }
+        
+        this.elements.syncStatus.dataset.status = status;
+        this.elements.syncLabel.textContent = pending > 0 && status !== 'synced'
+            ? `${SYNC_STATUS_LABELS[status]} · ${pending} pending`
+            : SYNC_STATUS_LABELS[status];
+        this.elements.syncStatus.title = detail;
+        this.elements.syncDetail.textContent = detail;
+        this.elements.syncNowBtn.disabled = !this.serverSync;
+        this.elements.syncDisconnectBtn.disabled = !this.serverSync;
+    }
+    
+    /**
+     * Re-render without losing the text of an in-progress edit
+     */
+    renderPreservingEdit() {
+        const selector = this.editingNotesTaskId
+            ? `[data-task-id="${this.editingNotesTaskId}"] .task-notes.editing`
+            : this.editingTaskId && `[data-task-id="${this.editingTaskId}"] .task-content`;
+        const getFields = () => {
+            const form = selector && document.querySelector(selector);
+            return form ? [...form.querySelectorAll('input, select, textarea')] : [];
+        };
+        
+        const fields = getFields();
+        const drafts = fields.map(field => ({ value: field.value, checked: field.checked }));
+        const focused = fields.find(field => field === document.activeElement);
+        const selection = focused && typeof focused.selectionStart === 'number'
+            ? [focused.selectionStart, focused.selectionEnd]
+            : null;
+        
+        this.render();
+        
+        // The form is rebuilt from the saved task, so put the draft back
+        const newFields = getFields();
+        if (newFields.length !== fields.length) return;
+        newFields.forEach((field, index) => {
+            field.value = drafts[index].value;
+            field.checked = drafts[index].checked;
+        });
+        if (this.editingTaskId && !this.editingNotesTaskId) {
+            this.renderEditRecurrenceOptions(document.querySelector(`[data-task-id="${this.editingTaskId}"]`));
+        }
+        if (focused) {
+            const newFocused = newFields[fields.indexOf(focused)];
+            newFocused.focus();
+            if (selection) {
+                newFocused.setSelectionRange(...selection);
+            }
+        }
+    }
+    
+    /**
+     * Undo the most recent change
+     */
+    undo() {
+        const entry = this.history.undo.pop();
+        if (!entry) {
+            this.showTemporaryFeedback('Nothing to undo.');
+            return;
+        }
+        
+        this.history.redo.push(entry);
+        this.applyHistoryEntry(entry, 'before');
+        this.showTemporaryFeedback(`Undid: ${entry.label}`, { label: 'Redo', onClick: () => this.redo() });
+    }
+    
+    /**
+     * Redo the most recently undone change
+     */
+    redo() {
+        const entry = this.history.redo.pop();
+        if (!entry) {
+            this.showTemporaryFeedback('Nothing to redo.');
+            return;
+        }
+        
+        this.history.undo.push(entry);
+        this.applyHistoryEntry(entry, 'after');
+        this.showTemporaryFeedback(`Redid: ${entry.label}`, this.getUndoAction());
     }
     
     /**
-     * Clear all tasks
+     * Toast action that undoes the latest change
      */
-    clearAll() {
-        this.tasks = [];
-        this.editingTaskId = null;
-        this.saveTasks();
-        this.render();
-        this.showTemporaryFeedback('All tasks cleared!');
+    getUndoAction() {
+        return { label: 'Undo', onClick: () => this.undo() };
     }
     
     /**
@@ -468,9 +3460,9 @@ class TodoApp {
     }
     
     /**
-     * Show temporary feedback message
+     * Show temporary feedback message, optionally with an action button
      */
-    showTemporaryFeedback(message) {
+    showTemporaryFeedback(message, action = null) {
         // Create or update feedback element
         let feedback = document.getElementById('tempFeedback');
         if (!feedback) {
@@ -495,9 +3487,22 @@ class TodoApp {
         
         feedback.textContent = message;
         feedback.style.display = 'block';
+        feedback.style.animation = 'slideInRight 0.3s ease-out';
         
-        // Auto-hide after 3 seconds
-        setTimeout(() => {
+        if (action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.className = 'feedback-action';
+            actionBtn.textContent = action.label;
+            actionBtn.addEventListener('click', () => {
+                feedback.remove();
+                action.onClick();
+            });
+            feedback.appendChild(actionBtn);
+        }
+        
+        // Auto-hide after 3 seconds (restarted by each new message)
+        clearTimeout(this.feedbackTimer);
+        this.feedbackTimer = setTimeout(() => {
             if (feedback) {
                 feedback.style.animation = 'slideOutRight 0.3s ease-in forwards';
                 setTimeout(() => {
@@ -513,10 +3518,16 @@ class TodoApp {
      * Render the entire application
      */
     render() {
+        this.renderListSwitcher();
         this.renderTasks();
+        this.renderBulkBar();
+        this.renderTagBar();
         this.renderStats();
         this.renderEmptyState();
         this.renderActionButtons();
+        this.renderTrashBar();
+        this.renderStatsPanel();
+        this.restoreTaskFocus();
     }
     
     /**
@@ -524,14 +3535,162 @@ class TodoApp {
      */
     renderTasks() {
         const filteredTasks = this.getFilteredTasks();
+        const isCalendar = this.isCalendarView();
         
         this.elements.taskList.innerHTML = '';
+        this.elements.taskList.classList.toggle('hidden', isCalendar);
+        this.elements.calendarView.classList.toggle('hidden', !isCalendar);
+        this.elements.calendarNav.classList.toggle('hidden', !isCalendar);
+        
+        if (isCalendar) {
+            this.renderCalendar(filteredTasks);
+            return;
+        }
+        
+        this.elements.calendarView.innerHTML = '';
+        
+        if (this.currentView === 'agenda' && this.currentFilter !== 'trash') {
+            this.groupTasksForAgenda(filteredTasks).forEach(({ label, tasks }) => {
+                const heading = document.createElement('li');
+                heading.className = 'agenda-heading';
+                heading.setAttribute('role', 'heading');
+                heading.setAttribute('aria-level', '3');
+                heading.textContent = `${label} (${tasks.length})`;
+                this.elements.taskList.appendChild(heading);
+                tasks.forEach(task => this.renderTask(task.id));
+            });
+            return;
+        }
         
         filteredTasks.forEach(task => {
             this.renderTask(task.id);
         });
     }
     
+    /**
+     * Whether the week or month calendar is showing. The trash is always
+     * shown as a list.
+     */
+    isCalendarView() {
+        return (this.currentView === 'week' || this.currentView === 'month') && this.currentFilter !== 'trash';
+    }
+    
+    /**
+     * Split tasks into the agenda groups, dropping empty groups. Tasks
+     * with a deadline are ordered by it within their group.
+     */
+    groupTasksForAgenda(tasks, now = new Date()) {
+        const todayKey = this.toDateKey(now);
+        const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+        const weekEnd = new Date(now.getFullYear(), now.getMonth(), now.getDate() + (6 - now.getDay()));
+        const groups = Object.fromEntries(Object.keys(AGENDA_GROUPS).map(key => [key, []]));
+        
+        tasks.forEach(task => {
+            if (!task.deadline) {
+                groups.none.push(task);
+                return;
+            }
+            
+            const dateKey = task.deadline.slice(0, 10);
+            if (new Date(task.deadline) < now && dateKey <= todayKey) {
+                groups[task.completed ? (dateKey === todayKey ? 'today' : 'earlier') : 'overdue'].push(task);
+            } else if (dateKey === todayKey) {
+                groups.today.push(task);
+            } else if (dateKey === this.toDateKey(tomorrow)) {
+                groups.tomorrow.push(task);
+            } else if (dateKey <= this.toDateKey(weekEnd)) {
+                groups.week.push(task);
+            } else {
+                groups.later.push(task);
+            }
+        });
+        
+        return Object.entries(groups)
+            .filter(([, groupTasks]) => groupTasks.length > 0)
+            .map(([key, groupTasks]) => ({
+                key,
+                label: AGENDA_GROUPS[key],
+                tasks: key === 'none'
+                    ? groupTasks
+                    : [...groupTasks].sort((a, b) => a.deadline.localeCompare(b.deadline))
+            }));
+    }
+    
+    /**
+     * Get the days shown by the calendar: one week, or six weeks covering
+     * the month. Weeks start on Sunday.
+     */
+    getCalendarDays() {
+        const anchor = this.calendarDate;
+        const start = this.currentView === 'month'
+            ? new Date(anchor.getFullYear(), anchor.getMonth(), 1)
+            : new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate());
+        start.setDate(start.getDate() - start.getDay());
+        
+        return Array.from({ length: this.currentView === 'month' ? 42 : 7 }, (_, index) =>
+            new Date(start.getFullYear(), start.getMonth(), start.getDate() + index)
+        );
+    }
+    
+    /**
+     * Render the week or month calendar with each task on its deadline day
+     */
+    renderCalendar(tasks) {
+        const days = this.getCalendarDays();
+        const todayKey = this.toDateKey(new Date());
+        const tasksByDay = new Map();
+        
+        tasks.filter(task => task.deadline).forEach(task => {
+            const dateKey = task.deadline.slice(0, 10);
+            if (!tasksByDay.has(dateKey)) {
+                tasksByDay.set(dateKey, []);
+            }
+            tasksByDay.get(dateKey).push(task);
+        });
+        
+        const first = days[0];
+        const last = days[days.length - 1];
+        this.elements.calendarTitle.textContent = this.currentView === 'month'
+            ? this.calendarDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+            : `${first.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} – ${last.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+        
+        const undatedCount = tasks.filter(task => !task.deadline).length;
+        
+        this.elements.calendarView.innerHTML = `
+            <div class="calendar-grid calendar-${this.currentView}" role="grid" aria-label="${this.escapeHtml(this.elements.calendarTitle.textContent)}">
+                ${WEEKDAY_NAMES.map(name => `<div class="calendar-weekday" role="columnheader">${name.slice(0, 3)}</div>`).join('')}
+                ${days.map(day => this.renderCalendarDay(day, tasksByDay.get(this.toDateKey(day)) || [], todayKey)).join('')}
+            </div>
+            ${undatedCount > 0
+                ? `<p class="calendar-note">${undatedCount} task${undatedCount === 1 ? ' has' : 's have'} no deadline; see the list or agenda view.</p>`
+                : ''}
+        `;
+    }
+    
+    /**
+     * Render one calendar day with its tasks, ordered by time
+     */
+    renderCalendarDay(day, tasks, todayKey) {
+        const dateKey = this.toDateKey(day);
+        const isOutside = this.currentView === 'month' && day.getMonth() !== this.calendarDate.getMonth();
+        const label = day.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+        
+        const chips = [...tasks].sort((a, b) => a.deadline.localeCompare(b.deadline)).map(task => `
+            <li class="calendar-task ${task.completed ? 'completed' : ''} priority-${task.priority || 'none'}" data-calendar-task="${task.id}" tabindex="0" title="${this.escapeHtml(task.text)}. Drag or press Alt+Arrow keys to reschedule; double-click to edit.">
+                <input type="checkbox" class="calendar-task-checkbox" ${task.completed ? 'checked' : ''} aria-label="Mark task as ${task.completed ? 'incomplete' : 'complete'}">
+                <span class="calendar-task-time">${task.deadline.slice(11, 16)}</span>
+                <span class="calendar-task-text">${this.highlightSearchMatches(task.text)}</span>
+            </li>
+        `).join('');
+        
+        return `
+            <div class="calendar-day ${isOutside ? 'outside' : ''} ${dateKey === todayKey ? 'today' : ''}" data-date="${dateKey}" role="gridcell" aria-label="${label}, ${tasks.length} task${tasks.length === 1 ? '' : 's'}">
+                <div class="calendar-date">${day.getDate()}</div>
+                <ul class="calendar-tasks">${chips}</ul>
+            </div>
+        `;
+    }
+    
     /**
      * Render a single task
      */
@@ -545,35 +3704,116 @@ class TodoApp {
         let existingElement = document.querySelector(`[data-task-id="${taskId}"]`);
         
         const taskElement = document.createElement('li');
-        taskElement.className = `task-item ${task.completed ? 'completed' : ''} ${isEditing ? 'editing' : ''} ${!isVisible ? 'hidden' : ''}`;
+        const isSelected = this.selectedIds.has(taskId);
+        taskElement.className = `task-item ${task.completed ? 'completed' : ''} ${task.trashedAt ? 'trashed' : ''} ${isEditing ? 'editing' : ''} ${!isVisible ? 'hidden' : ''} ${isSelected ? 'selected' : ''}`;
         taskElement.dataset.taskId = taskId;
+        taskElement.tabIndex = -1;
         taskElement.setAttribute('role', 'listitem');
         
         // Format deadline display
         const deadlineHTML = task.deadline ? this.formatDeadlineDisplay(task.deadline, task.completed) : '';
+        const recurrenceHTML = isValidRecurrence(task.recurrence)
+            ? `<div class="task-recurrence" title="Repeating task">🔁 ${this.escapeHtml(describeRecurrence(task.recurrence))}</div>`
+            : '';
+        const priorityHTML = task.priority && task.priority !== 'none'
+            ? `<div class="task-priority priority-${task.priority}" title="Priority">${PRIORITY_LABELS[task.priority]}</div>`
+            : '';
+        const tagsHTML = (task.tags || []).length > 0
+            ? `<div class="task-tags">${task.tags.map(tag =>
+                `<button class="tag-chip" data-tag="${this.escapeHtml(tag)}" title="Show tasks tagged #${this.escapeHtml(tag)}">#${this.escapeHtml(tag)}</button>`
+            ).join('')}</div>`
+            : '';
+        // The edit field holds the text and its #tags, so it has no maxlength;
+        // the length limit is checked on the text once the tags are taken out
+        const editValue = [task.text, ...(task.tags || []).map(tag => `#${tag}`)].join(' ');
+        const subtasks = task.subtasks || [];
+        const notesHTML = task.notes && !this.expandedNoteIds.has(taskId)
+            ? `<div class="task-notes-indicator" title="Has notes">📝 Notes</div>`
+            : '';
+        const progressHTML = subtasks.length > 0
+            ? `<div class="subtask-progress" title="Subtasks completed">☑ ${subtasks.filter(s => s.completed).length}/${subtasks.length}</div>`
+            : '';
+        const selectHTML = this.selectionMode
+            ? `<input type="checkbox" class="task-select" ${isSelected ? 'checked' : ''} aria-label="Select task">`
+            : '';
         
         if (isEditing) {
+            const recurrence = isValidRecurrence(task.recurrence) ? task.recurrence : null;
+            const recurrenceType = recurrence ? recurrence.type : '';
+            const repeatDays = recurrenceType === 'weekly' ? recurrence.days : [];
+            
             taskElement.innerHTML = `
                 <input type="checkbox" class="task-checkbox" ${task.completed ? 'checked' : ''} disabled>
                 <div class="task-content">
-                    <input type="text" class="task-edit-input" value="${this.escapeHtml(task.text)}" maxlength="100">
-                    ${deadlineHTML}
+                    <input type="text" class="task-edit-input" value="${this.escapeHtml(editValue)}" aria-label="Task description">
+                    <select class="task-edit-priority" aria-label="Task priority">
+                        ${this.renderPriorityOptions(task.priority || 'none')}
+                    </select>
+                    ${this.lists.length > 1 ? `
+                    <select class="task-edit-list" aria-label="List">
+                        ${this.renderListOptions(task.listId)}
+                    </select>` : ''}
+                    <div class="task-edit-row">
+                        <input type="datetime-local" class="task-edit-deadline" value="${this.escapeHtml(task.deadline || '')}" aria-label="Deadline">
+                        <button class="subtask-btn task-edit-clear-deadline" aria-label="Clear deadline">Clear</button>
+                        <select class="task-edit-recurrence" aria-label="Repeat task">
+                            ${this.renderRecurrenceTypeOptions(recurrenceType)}
+                        </select>
+                    </div>
+                    <fieldset class="recurrence-days task-edit-days ${recurrenceType === 'weekly' ? '' : 'hidden'}">
+                        <legend>Repeat on</legend>
+                        ${[1, 2, 3, 4, 5, 6, 0].map(day =>
+                            `<label><input type="checkbox" value="${day}" ${repeatDays.includes(day) ? 'checked' : ''}> ${WEEKDAY_NAMES[day].slice(0, 3)}</label>`
+                        ).join('')}
+                    </fieldset>
+                    <label class="recurrence-interval task-edit-interval-label ${recurrenceType === 'interval' ? '' : 'hidden'}">
+                        Every <input type="number" class="task-edit-interval" min="1" max="365" value="${recurrenceType === 'interval' ? recurrence.interval : 2}"> days
+                    </label>
+                    <textarea class="task-edit-notes" rows="3" maxlength="${NOTES_MAX_LENGTH}" aria-label="Notes" placeholder="Notes (Markdown)">${this.escapeHtml(task.notes || '')}</textarea>
                     <div class="task-actions">
                         <button class="task-btn save-btn" aria-label="Save task">Save</button>
                         <button class="task-btn cancel-btn" aria-label="Cancel edit">Cancel</button>
                     </div>
                 </div>
             `;
+        } else if (task.trashedAt) {
+            taskElement.innerHTML = `
+                ${selectHTML}
+                <div class="task-content">
+                    <span class="task-text ${task.completed ? 'completed' : ''}">${this.highlightSearchMatches(task.text)}</span>
+                    ${priorityHTML}
+                    ${tagsHTML}
+                    <div class="task-trashed" title="${this.escapeHtml(new Date(task.trashedAt).toLocaleString())}">${this.describeTrashedTask(task)}</div>
+                    <div class="task-actions">
+                        <button class="task-btn restore-btn" aria-label="Restore task">Restore</button>
+                        <button class="task-btn purge-btn" aria-label="Delete task forever">Delete Forever</button>
+                    </div>
+                </div>
+            `;
         } else {
+            const dragHandleHTML = this.currentSort === 'manual' && this.currentView === 'list'
+                ? `<button class="drag-handle" aria-label="Move task. Drag, or press Alt+Up or Alt+Down." title="Drag to reorder (Alt+↑/↓)">⠿</button>`
+                : '';
             taskElement.innerHTML = `
+                ${selectHTML}
+                ${dragHandleHTML}
                 <input type="checkbox" class="task-checkbox" ${task.completed ? 'checked' : ''} aria-label="Mark task as ${task.completed ? 'incomplete' : 'complete'}">
                 <div class="task-content">
-                    <span class="task-text ${task.completed ? 'completed' : ''}" title="Double-click to edit">${this.escapeHtml(task.text)}</span>
+                    <span class="task-text ${task.completed ? 'completed' : ''}" title="Double-click to edit">${this.highlightSearchMatches(task.text)}</span>
+                    ${priorityHTML}
+                    ${tagsHTML}
                     ${deadlineHTML}
+                    ${recurrenceHTML}
+                    ${progressHTML}
+                    ${notesHTML}
                     <div class="task-actions">
+                        <button class="task-btn subtasks-btn" aria-label="Add subtasks" aria-expanded="${this.expandedTaskIds.has(taskId)}">+ Subtask</button>
+                        <button class="task-btn notes-btn" aria-label="Show task details" aria-expanded="${this.expandedNoteIds.has(taskId)}">Details</button>
                         <button class="task-btn edit-btn" aria-label="Edit task">Edit</button>
                         <button class="task-btn delete-btn" aria-label="Delete task">Delete</button>
                     </div>
+                    ${this.renderSubtasks(task)}
+                    ${this.renderNotes(task)}
                 </div>
             `;
         }
@@ -586,11 +3826,167 @@ class TodoApp {
     }
     
     /**
-     * Render task statistics
+     * Say when a trashed task was deleted and when it will be purged
+     */
+    describeTrashedTask(task, now = new Date()) {
+        const trashedAt = new Date(task.trashedAt);
+        const deleted = `Deleted ${trashedAt.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`;
+        if (this.trashRetentionDays === 0) return deleted;
+        
+        const purgeAt = trashedAt.getTime() + this.trashRetentionDays * 24 * 60 * 60 * 1000;
+        const days = Math.max(1, Math.ceil((purgeAt - now.getTime()) / (24 * 60 * 60 * 1000)));
+        return `${deleted} · removed for good in ${days} day${days === 1 ? '' : 's'}`;
+    }
+    
+    /**
+     * Show the bulk action bar while in selection mode
+     */
+    renderBulkBar() {
+        // Forget selected tasks that no longer exist
+        this.selectedIds.forEach(id => {
+            if (!this.tasks.some(task => task.id === id)) {
+                this.selectedIds.delete(id);
+            }
+        });
+        
+        const count = this.selectedIds.size;
+        this.elements.bulkBar.classList.toggle('hidden', !this.selectionMode);
+        this.elements.selectModeBtn.textContent = this.selectionMode ? 'Done Selecting' : 'Select Tasks';
+        this.elements.selectModeBtn.setAttribute('aria-pressed', String(this.selectionMode));
+        this.elements.bulkCount.textContent = `${count} selected`;
+        
+        // Offer every list but the current one as a move target
+        const otherLists = this.lists.filter(list => list.id !== this.currentListId);
+        const moveTarget = parseInt(this.elements.bulkMoveList.value);
+        this.elements.bulkMoveList.closest('.bulk-move-list').classList.toggle('hidden', otherLists.length === 0);
+        this.elements.bulkMoveList.innerHTML = otherLists.map(list =>
+            `<option value="${list.id}" ${list.id === moveTarget ? 'selected' : ''}>${this.escapeHtml(list.name)}</option>`
+        ).join('');
+        this.elements.bulkBar.querySelectorAll('[data-bulk-action]').forEach(button => {
+            if (!['select-all', 'select-none'].includes(button.dataset.bulkAction)) {
+                button.disabled = count === 0;
+            }
+        });
+        
+        // Trashed tasks can only be restored or deleted for good
+        const inTrash = this.currentFilter === 'trash';
+        this.elements.bulkBar.querySelectorAll('[data-bulk-action]').forEach(button => {
+            const action = button.dataset.bulkAction;
+            const hidden = action === 'restore'
+                ? !inTrash
+                : inTrash && !['select-all', 'select-none', 'delete'].includes(action);
+            button.classList.toggle('hidden', hidden);
+        });
+        this.elements.bulkDeadline.closest('.bulk-deadline').classList.toggle('hidden', inTrash);
+        if (inTrash) {
+            this.elements.bulkMoveList.closest('.bulk-move-list').classList.add('hidden');
+        }
+    }
+    
+    /**
+     * Build <option> elements for a priority select
+     */
+    renderPriorityOptions(selected) {
+        return PRIORITY_LEVELS.map(level =>
+            `<option value="${level}" ${level === selected ? 'selected' : ''}>${PRIORITY_LABELS[level]}</option>`
+        ).join('');
+    }
+    
+    /**
+     * Build <option> elements for an editor's repeat select, copied from
+     * the add form's
+     */
+    renderRecurrenceTypeOptions(selected) {
+        return [...this.elements.taskRecurrence.options].map(option =>
+            `<option value="${option.value}" ${option.value === selected ? 'selected' : ''}>${this.escapeHtml(option.textContent)}</option>`
+        ).join('');
+    }
+    
+    /**
+     * Build <option> elements for a list select
+     */
+    renderListOptions(selected) {
+        return this.lists.map(list =>
+            `<option value="${list.id}" ${list.id === selected ? 'selected' : ''}>${this.escapeHtml(list.name)}</option>`
+        ).join('');
+    }
+    
+    /**
+     * Render the list switcher with each list's remaining task count,
+     * and the list manager if open
+     */
+    renderListSwitcher() {
+        // Fall back to the first list if the current one was deleted
+        if (!this.getList(this.currentListId)) {
+            this.currentListId = this.lists[0].id;
+            this.restoreListFilters();
+            this.storeListState();
+        }
+        
+        const remaining = (listId) => this.getListTasks(listId).filter(task => !task.completed).length;
+        
+        this.elements.listSelect.innerHTML = this.lists.map(list => `
+            <option value="${list.id}" ${list.id === this.currentListId ? 'selected' : ''}>
+                ${this.escapeHtml(list.name)} (${remaining(list.id)})
+            </option>
+        `).join('');
+        
+        if (!this.elements.listManager.classList.contains('hidden')) {
+            this.elements.listManagerItems.innerHTML = this.lists.map((list, index) => {
+                const count = this.getListTasks(list.id).length;
+                const name = this.escapeHtml(list.name);
+                return `
+                    <li class="list-manager-item ${list.id === this.currentListId ? 'current' : ''}" data-list-id="${list.id}">
+                        <input type="text" class="list-rename-input" value="${name}" maxlength="40" aria-label="New name for ${name}">
+                        <span class="list-manager-count">${count} task${count === 1 ? '' : 's'}</span>
+                        <button class="subtask-btn list-rename-btn">Rename</button>
+                        <button class="subtask-btn list-move-btn" data-direction="-1" aria-label="Move ${name} up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                        <button class="subtask-btn list-move-btn" data-direction="1" aria-label="Move ${name} down" ${index === this.lists.length - 1 ? 'disabled' : ''}>↓</button>
+                        <button class="subtask-btn list-delete-btn" ${this.lists.length === 1 ? 'disabled' : ''}>Delete</button>
+                    </li>
+                `;
+            }).join('');
+        }
+    }
+    
+    /**
+     * Render tag chips as task-list filters, and the tag manager if open
+     */
+    renderTagBar() {
+        const tags = this.getAllTags();
+        
+        // Drop a tag filter whose tag no longer exists
+        if (this.currentTag && !tags.some(({ tag }) => tag === this.currentTag)) {
+            this.currentTag = null;
+        }
+        
+        this.elements.tagsSection.classList.toggle('hidden', tags.length === 0);
+        
+        this.elements.tagFilterBar.innerHTML = tags.map(({ tag, count }) => `
+            <button class="tag-chip ${tag === this.currentTag ? 'active' : ''}" data-tag="${this.escapeHtml(tag)}" aria-pressed="${tag === this.currentTag}">
+                #${this.escapeHtml(tag)} <span class="tag-count">${count}</span>
+            </button>
+        `).join('');
+        
+        if (!this.elements.tagManager.classList.contains('hidden')) {
+            this.elements.tagManager.innerHTML = tags.map(({ tag, count }) => `
+                <li class="tag-manager-item" data-tag="${this.escapeHtml(tag)}">
+                    <span class="tag-manager-name">#${this.escapeHtml(tag)} (${count})</span>
+                    <input type="text" class="tag-rename-input" value="${this.escapeHtml(tag)}" maxlength="30" aria-label="New name for #${this.escapeHtml(tag)}">
+                    <button class="subtask-btn tag-rename-btn">Rename</button>
+                    <button class="subtask-btn tag-delete-btn">Delete</button>
+                </li>
+            `).join('');
+        }
+    }
+    
+    /**
+     * Render task statistics for the current list
      */
     renderStats() {
-        const total = this.tasks.length;
-        const completed = this.tasks.filter(task => task.completed).length;
+        const listTasks = this.getListTasks();
+        const total = listTasks.length;
+        const completed = listTasks.filter(task => task.completed).length;
         const remaining = total - completed;
         
         let countText;
@@ -607,16 +4003,181 @@ class TodoApp {
         this.elements.taskCount.textContent = countText;
     }
     
+    /**
+     * Show or hide the statistics panel
+     */
+    toggleStatsPanel() {
+        const isHidden = this.elements.statsPanel.classList.toggle('hidden');
+        this.elements.statsBtn.setAttribute('aria-expanded', String(!isHidden));
+        this.elements.statsBtn.textContent = isHidden ? 'Show Stats' : 'Hide Stats';
+        this.renderStatsPanel();
+    }
+    
+    /**
+     * Render the statistics panel (only while it is open)
+     */
+    renderStatsPanel() {
+        if (this.elements.statsPanel.classList.contains('hidden')) return;
+        
+        const stats = this.getStats({
+            range: parseInt(this.elements.statsRange.value),
+            listId: this.elements.statsScope.value === 'list' ? this.currentListId : null
+        });
+        const { deadlines, streak } = stats;
+        const dated = deadlines.onTime + deadlines.late;
+        const dayLabel = (dateKey) => this.fromDateKey(dateKey).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        const axis = (points) => points.length === 0 ? '' : `
+            <div class="stats-chart-axis">
+                <span>${dayLabel(points[0].date)}</span>
+                <span>${dayLabel(points[points.length - 1].date)}</span>
+            </div>
+        `;
+        
+        const cards = [
+            ['Completed', stats.completedInRange],
+            ['Avg. time to complete', stats.averageCompletionTime === null ? '–' : this.formatDuration(stats.averageCompletionTime)],
+            ['Current streak', `${streak.current} day${streak.current === 1 ? '' : 's'}`, `Longest: ${streak.longest}`],
+            ['On time', dated === 0 ? '–' : `${Math.round((deadlines.onTime / dated) * 100)}%`, `${deadlines.late} late`]
+        ];
+        
+        this.elements.statsContent.innerHTML = `
+            <div class="stats-cards">
+                ${cards.map(([label, value, note]) => `
+                    <div class="stats-card">
+                        <span class="stats-card-value">${this.escapeHtml(String(value))}</span>
+                        <span class="stats-card-label">${label}</span>
+                        ${note ? `<span class="stats-card-note">${this.escapeHtml(note)}</span>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+            <figure class="stats-figure">
+                <figcaption>Completed per day</figcaption>
+                ${this.renderBarChart(stats.completedPerDay.map(point => ({ label: dayLabel(point.date), value: point.count })), 'Tasks completed per day')}
+                ${axis(stats.completedPerDay)}
+            </figure>
+            <figure class="stats-figure">
+                <figcaption>Completed per week</figcaption>
+                ${this.renderBarChart(stats.completedPerWeek.map(point => ({ label: `Week of ${dayLabel(point.weekStart)}`, value: point.count })), 'Tasks completed per week')}
+                ${axis(stats.completedPerWeek.map(point => ({ date: point.weekStart })))}
+            </figure>
+            <figure class="stats-figure">
+                <figcaption>On time vs. late (${deadlines.noDeadline} without a deadline)</figcaption>
+                ${this.renderSplitBar(deadlines.onTime, deadlines.late)}
+                <div class="stats-chart-axis">
+                    <span class="stats-legend on-time">${deadlines.onTime} on time</span>
+                    <span class="stats-legend late">${deadlines.late} late</span>
+                </div>
+            </figure>
+            <figure class="stats-figure">
+                <figcaption>Overdue backlog</figcaption>
+                ${this.renderLineChart(stats.overdueTrend.map(point => ({ label: dayLabel(point.date), value: point.count })), 'Overdue tasks at the end of each day')}
+                ${axis(stats.overdueTrend)}
+            </figure>
+        `;
+    }
+    
+    /**
+     * Build an inline SVG bar chart from [{ label, value }]
+     */
+    renderBarChart(points, title) {
+        const width = 300;
+        const height = 80;
+        const max = Math.max(1, ...points.map(point => point.value));
+        const step = width / Math.max(1, points.length);
+        const barWidth = Math.max(1, step * 0.7);
+        
+        const bars = points.map((point, index) => {
+            const barHeight = (point.value / max) * (height - 4);
+            return `<rect x="${(index * step + (step - barWidth) / 2).toFixed(1)}" y="${(height - barHeight).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}"><title>${this.escapeHtml(point.label)}: ${point.value}</title></rect>`;
+        }).join('');
+        
+        return `
+            <svg class="stats-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="${this.escapeHtml(title)}">
+                <line class="stats-baseline" x1="0" y1="${height}" x2="${width}" y2="${height}"></line>
+                ${bars}
+            </svg>
+        `;
+    }
+    
+    /**
+     * Build an inline SVG line chart from [{ label, value }]
+     */
+    renderLineChart(points, title) {
+        const width = 300;
+        const height = 80;
+        const max = Math.max(1, ...points.map(point => point.value));
+        const step = points.length > 1 ? width / (points.length - 1) : 0;
+        const coords = points.map((point, index) =>
+            [(index * step).toFixed(1), (height - 2 - (point.value / max) * (height - 6)).toFixed(1)]
+        );
+        
+        return `
+            <svg class="stats-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="${this.escapeHtml(title)}">
+                <line class="stats-baseline" x1="0" y1="${height}" x2="${width}" y2="${height}"></line>
+                <polyline class="stats-line" points="${coords.map(coord => coord.join(',')).join(' ')}"></polyline>
+                ${points.map((point, index) =>
+                    `<rect class="stats-hit" x="${Math.max(0, index * step - step / 2).toFixed(1)}" y="0" width="${Math.max(step, 1).toFixed(1)}" height="${height}"><title>${this.escapeHtml(point.label)}: ${point.value}</title></rect>`
+                ).join('')}
+            </svg>
+        `;
+    }
+    
+    /**
+     * Build an inline SVG bar split between on-time and late completions
+     */
+    renderSplitBar(onTime, late) {
+        const total = onTime + late;
+        const onTimeWidth = total === 0 ? 0 : (onTime / total) * 300;
+        
+        return `
+            <svg class="stats-chart stats-split" viewBox="0 0 300 12" preserveAspectRatio="none" role="img" aria-label="${onTime} completed on time, ${late} late">
+                <rect class="stats-empty" x="0" y="0" width="300" height="12"></rect>
+                ${total === 0 ? '' : `
+                    <rect class="on-time" x="0" y="0" width="${onTimeWidth.toFixed(1)}" height="12"></rect>
+                    <rect class="late" x="${onTimeWidth.toFixed(1)}" y="0" width="${(300 - onTimeWidth).toFixed(1)}" height="12"></rect>
+                `}
+            </svg>
+        `;
+    }
+    
+    /**
+     * Describe a duration in milliseconds, e.g. "2 d 5 h" or "40 min"
+     */
+    formatDuration(ms) {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 60) return `${minutes} min`;
+        
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours} h ${minutes % 60} min`;
+        
+        return `${Math.floor(hours / 24)} d ${hours % 24} h`;
+    }
+    
     /**
      * Render empty state
      */
     renderEmptyState() {
         const filteredTasks = this.getFilteredTasks();
-        const isEmpty = filteredTasks.length === 0;
+        const isEmpty = filteredTasks.length === 0 && !this.isCalendarView();
+        const isTrash = this.currentFilter === 'trash';
+        const hasTasks = isTrash
+            ? this.store.getTrashedTasks(this.currentListId).length > 0
+            : this.getListTasks().length > 0;
         
         this.elements.emptyState.classList.toggle('hidden', !isEmpty);
         
-        if (isEmpty && this.tasks.length > 0) {
+        if (isEmpty && hasTasks && this.searchQuery.trim()) {
+            // Show search-specific empty state
+            this.elements.emptyState.querySelector('h3').textContent = `No tasks match "${this.searchQuery.trim()}"`;
+            this.elements.emptyState.querySelector('p').textContent = this.currentFilter !== 'all' || this.currentTag
+                ? 'Try other words, or search all tasks by clearing the filters.'
+                : 'Try other words, or press Escape to clear the search.';
+        } else if (isEmpty && hasTasks && this.currentTag) {
+            // Show tag-specific empty state
+            const status = { all: '', active: 'active ', completed: 'completed ', trash: 'trashed ' }[this.currentFilter];
+            this.elements.emptyState.querySelector('h3').textContent = `No ${status}tasks tagged #${this.currentTag}`;
+            this.elements.emptyState.querySelector('p').textContent = 'Pick another tag or clear the tag filter.';
+        } else if (isEmpty && hasTasks) {
             // Show filter-specific empty state
             const emptyMessages = {
                 active: 'No active tasks! 🎉',
@@ -629,52 +4190,349 @@ class TodoApp {
                 this.elements.emptyState.querySelector('p').textContent = 
                     this.currentFilter === 'active' ? 'All your tasks are completed!' : 'Complete some tasks to see them here.';
             }
+        } else if (isEmpty && isTrash) {
+            this.elements.emptyState.querySelector('h3').textContent = 'The trash is empty';
+            this.elements.emptyState.querySelector('p').textContent = this.trashRetentionDays > 0
+                ? `Deleted tasks stay here for ${this.trashRetentionDays} days.`
+                : 'Deleted tasks stay here until you empty the trash.';
         } else if (isEmpty) {
             // Reset to default empty state
-            this.elements.emptyState.querySelector('h3').textContent = 'No tasks yet';
+            this.elements.emptyState.querySelector('h3').textContent = this.lists.length > 1
+                ? `No tasks in "${this.getCurrentList().name}" yet`
+                : 'No tasks yet';
             this.elements.emptyState.querySelector('p').textContent = 'Add a task above to get started!';
         }
     }
     
     /**
-     * Render action buttons state
+     * Render action buttons state
+     */
+    renderActionButtons() {
+        const listTasks = this.getListTasks();
+        const hasCompleted = listTasks.some(task => task.completed);
+        const hasTasks = listTasks.length > 0;
+        
+        this.elements.clearCompleted.disabled = !hasCompleted;
+        this.elements.clearAll.disabled = !hasTasks;
+    }
+    
+    /**
+     * Show the trash settings while the trash is showing
+     */
+    renderTrashBar() {
+        this.elements.trashBar.classList.toggle('hidden', this.currentFilter !== 'trash');
+        this.elements.trashRetention.value = String(this.trashRetentionDays);
+        this.elements.emptyTrashBtn.disabled = this.store.getTrashedTasks(this.currentListId).length === 0;
+    }
+    
+    /**
+     * Get filtered tasks based on current filter
+     */
+    getFilteredTasks() {
+        return this.store.query({ ...this.getTaskQuery(), sort: this.currentSort });
+    }
+    
+    /**
+     * Check if a task should be visible based on current list and filter
+     */
+    isTaskVisible(task) {
+        return this.store.matches(task, this.getTaskQuery());
+    }
+    
+    /**
+     * Describe the current list, tag, search and filter as store query options
+     */
+    getTaskQuery() {
+        return {
+            listId: this.currentListId,
+            status: this.currentFilter,
+            tag: this.currentTag,
+            search: this.searchTerms
+        };
+    }
+
+    /**
+     * Fire any reminders that are due, then wait for the next one. The wait
+     * is capped at REMINDER_TICK_MS so deadline badges stay current.
+     */
+    scheduleReminders() {
+        clearTimeout(this.reminderTimer);
+        
+        const now = Date.now();
+        const nextAt = this.checkReminders(now);
+        const delay = Math.min(Math.max(nextAt - now, 1000), REMINDER_TICK_MS);
+        
+        this.reminderTimer = setTimeout(() => {
+            this.refreshDeadlineBadges();
+            this.scheduleReminders();
+        }, delay);
+    }
+    
+    /**
+     * Show every reminder due at `now` and return when the next one is due
+     */
+    checkReminders(now) {
+        const { offsets, fired, snoozed } = this.reminders;
+        const nextFired = {};
+        const nextSnoozed = {};
+        let nextAt = Infinity;
+        let stateChanged = false;
+        
+        this.tasks.forEach(task => {
+            const deadline = Date.parse(task.deadline);
+            if (task.completed || task.trashedAt || isNaN(deadline)) return;
+            
+            // Fired keys include the deadline, so changing it re-arms reminders
+            const taskFired = (fired[task.id] || []).filter(key => key.startsWith(`${task.deadline}|`));
+            let isDue = false;
+            
+            offsets.forEach(offset => {
+                const key = `${task.deadline}|${offset}`;
+                if (taskFired.includes(key)) return;
+                
+                const fireAt = deadline - offset * 60 * 1000;
+                if (fireAt > now) {
+                    nextAt = Math.min(nextAt, fireAt);
+                    return;
+                }
+                
+                taskFired.push(key);
+                stateChanged = true;
+                if (now - fireAt < REMINDER_GRACE_MS) {
+                    isDue = true;
+                }
+            });
+            
+            const snooze = snoozed[task.id];
+            if (snooze && snooze.deadline === task.deadline) {
+                if (snooze.until <= now) {
+                    isDue = true;
+                    stateChanged = true;
+                } else {
+                    nextSnoozed[task.id] = snooze;
+                    nextAt = Math.min(nextAt, snooze.until);
+                }
+            }
+            
+            if (taskFired.length > 0) {
+                nextFired[task.id] = taskFired;
+            }
+            if (isDue) {
+                this.showReminder(task);
+            }
+        });
+        
+        // Drop state for tasks that were deleted, completed or rescheduled
+        if (stateChanged ||
+            Object.keys(nextFired).length !== Object.keys(fired).length ||
+            Object.keys(nextSnoozed).length !== Object.keys(snoozed).length) {
+            this.reminders.fired = nextFired;
+            this.reminders.snoozed = nextSnoozed;
+            this.saveReminders();
+        }
+        
+        this.pruneReminderCards();
+        return nextAt;
+    }
+    
+    /**
+     * Alert the user about a task: a browser notification when allowed,
+     * plus an in-page card with snooze options
+     */
+    showReminder(task) {
+        const message = `${task.text} ${this.describeDueTime(task.deadline)}`;
+        
+        if ('Notification' in window && Notification.permission === 'granted') {
+            try {
+                const notification = new Notification('Task reminder', {
+                    body: message,
+                    tag: `todoapp-task-${task.id}`
+                });
+                notification.onclick = () => {
+                    window.focus();
+                    notification.close();
+                };
+            } catch (error) {
+                // Some browsers only allow notifications from a service worker
+                console.error('Failed to show notification:', error);
+            }
+        }
+        
+        const card = document.createElement('div');
+        card.className = 'reminder-card';
+        card.dataset.reminderFor = task.id;
+        card.dataset.deadline = task.deadline;
+        card.innerHTML = `
+            <p class="reminder-message">⏰ <strong>${this.escapeHtml(task.text)}</strong> ${this.escapeHtml(this.describeDueTime(task.deadline))}</p>
+            <div class="reminder-actions">
+                ${Object.entries(SNOOZE_OPTIONS).map(([minutes, label]) =>
+                    `<button class="reminder-btn" data-snooze="${minutes}">Snooze ${label}</button>`
+                ).join('')}
+                <button class="reminder-btn" data-reminder-action="complete">Mark done</button>
+                <button class="reminder-btn" data-reminder-action="dismiss">Dismiss</button>
+            </div>
+        `;
+        
+        const existing = this.elements.reminderStack.querySelector(`[data-reminder-for="${task.id}"]`);
+        if (existing) {
+            existing.replaceWith(card);
+        } else {
+            this.elements.reminderStack.appendChild(card);
+        }
+    }
+    
+    /**
+     * Describe how far away a deadline is, e.g. "is due in 15 minutes"
+     */
+    describeDueTime(deadline) {
+        const minutes = Math.round((Date.parse(deadline) - Date.now()) / (60 * 1000));
+        
+        if (minutes < 0) return 'is overdue';
+        if (minutes === 0) return 'is due now';
+        if (minutes < 60) return `is due in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+        
+        const hours = Math.round(minutes / 60);
+        if (hours < 24) return `is due in ${hours} hour${hours === 1 ? '' : 's'}`;
+        
+        const days = Math.round(hours / 24);
+        return `is due in ${days} day${days === 1 ? '' : 's'}`;
+    }
+    
+    /**
+     * Handle snooze, mark done and dismiss on a reminder card
+     */
+    handleReminderClick(e) {
+        const button = e.target.closest('.reminder-btn');
+        if (!button) return;
+        
+        const card = button.closest('.reminder-card');
+        const taskId = parseInt(card.dataset.reminderFor);
+        card.remove();
+        
+        if (button.dataset.snooze) {
+            this.snoozeReminder(taskId, parseInt(button.dataset.snooze));
+        } else if (button.dataset.reminderAction === 'complete') {
+            const task = this.tasks.find(t => t.id === taskId);
+            if (task && !task.completed) {
+                this.toggleTask(taskId);
+            }
+        }
+    }
+    
+    /**
+     * Show a task's reminder again after the given number of minutes
+     */
+    snoozeReminder(taskId, minutes) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+        
+        this.reminders.snoozed[taskId] = {
+            until: Date.now() + minutes * 60 * 1000,
+            deadline: task.deadline
+        };
+        this.saveReminders();
+        this.scheduleReminders();
+        this.showTemporaryFeedback(`Snoozed for ${SNOOZE_OPTIONS[minutes]}.`);
+    }
+    
+    /**
+     * Remove reminder cards whose task was completed, deleted or rescheduled
+     */
+    pruneReminderCards() {
+        this.elements.reminderStack.querySelectorAll('.reminder-card').forEach(card => {
+            const task = this.tasks.find(t => t.id === parseInt(card.dataset.reminderFor));
+            if (!task || task.completed || task.trashedAt || task.deadline !== card.dataset.deadline) {
+                card.remove();
+            }
+        });
+    }
+    
+    /**
+     * Update overdue / due soon badges as time passes, without a full render
+     */
+    refreshDeadlineBadges() {
+        this.elements.taskList.querySelectorAll('.task-deadline').forEach(badge => {
+            const task = this.tasks.find(t => t.id === parseInt(badge.closest('.task-item').dataset.taskId));
+            if (!task) return;
+            
+            const html = this.formatDeadlineDisplay(task.deadline, task.completed);
+            if (badge.outerHTML !== html) {
+                badge.outerHTML = html;
+            }
+        });
+    }
+    
+    /**
+     * Change which offsets before a deadline trigger a reminder
+     */
+    setReminderOffsets(offsets) {
+        this.reminders.offsets = offsets.filter(offset => offset in REMINDER_OFFSETS);
+        this.saveReminders();
+        this.scheduleReminders();
+    }
+    
+    /**
+     * Ask for permission to show browser notifications
+     */
+    async requestNotificationPermission() {
+        if (!('Notification' in window)) return;
+        
+        try {
+            await Notification.requestPermission();
+        } catch (error) {
+            console.error('Failed to request notification permission:', error);
+        }
+        this.renderReminderSettings();
+    }
+    
+    /**
+     * Render the reminder offset checkboxes and notification permission state
      */
-    renderActionButtons() {
-        const hasCompleted = this.tasks.some(task => task.completed);
-        const hasTasks = this.tasks.length > 0;
+    renderReminderSettings() {
+        this.elements.reminderOffsets.querySelectorAll('input').forEach(input => {
+            input.checked = this.reminders.offsets.includes(parseInt(input.value));
+        });
         
-        this.elements.clearCompleted.disabled = !hasCompleted;
-        this.elements.clearAll.disabled = !hasTasks;
+        const permission = 'Notification' in window ? Notification.permission : 'unsupported';
+        const statusText = {
+            granted: 'Browser notifications are on.',
+            denied: 'Notifications are blocked, so reminders appear in the page.',
+            unsupported: 'This browser has no notifications, so reminders appear in the page.',
+            default: ''
+        };
+        
+        this.elements.notificationBtn.classList.toggle('hidden', permission !== 'default');
+        this.elements.notificationStatus.textContent = statusText[permission];
     }
     
     /**
-     * Get filtered tasks based on current filter
+     * Load reminder settings and state from the storage backend
      */
-    getFilteredTasks() {
-        switch (this.currentFilter) {
-            case 'active':
-                return this.tasks.filter(task => !task.completed);
-            case 'completed':
-                return this.tasks.filter(task => task.completed);
-            default:
-                return this.tasks;
+    async loadReminders() {
+        try {
+            const stored = JSON.parse(await this.storage.getItem(REMINDER_KEY));
+            if (stored && Array.isArray(stored.offsets)) {
+                this.reminders = {
+                    offsets: stored.offsets.filter(offset => offset in REMINDER_OFFSETS),
+                    fired: stored.fired && typeof stored.fired === 'object' ? stored.fired : {},
+                    snoozed: stored.snoozed && typeof stored.snoozed === 'object' ? stored.snoozed : {}
+                };
+            }
+        } catch (error) {
+            console.error('Failed to load reminders:', error);
         }
     }
     
     /**
-     * Check if a task should be visible based on current filter
+     * Save reminder settings and state through the storage backend
      */
-    isTaskVisible(task) {
-        switch (this.currentFilter) {
-            case 'active':
-                return !task.completed;
-            case 'completed':
-                return task.completed;
-            default:
-                return true;
-        }
+    saveReminders() {
+        return new Promise(resolve => resolve(this.storage.setItem(REMINDER_KEY, JSON.stringify(this.reminders))))
+            .catch(error => {
+                console.error('Failed to save reminders:', error);
+            });
     }
-
+    
     /**
      * Format deadline display for tasks
      */
@@ -721,95 +4579,501 @@ class TodoApp {
         div.textContent = text;
         return div.innerHTML;
     }    /**
-     * Save tasks to localStorage
+     * Open the storage backend, falling back to localStorage if it fails
+     */
+    async openStorage() {
+        try {
+            await this.storage.open();
+        } catch (error) {
+            console.error('Failed to open storage, falling back to localStorage:', error);
+            this.storage = new LocalStorageAdapter({ key: STORAGE_KEY });
+        }
+    }
+    
+    /**
+     * Save tasks through the storage backend
      */
     saveTasks() {
+        // Every task change goes through here, so reminders follow edits,
+        // completions and deletions
+        this.scheduleReminders();
+        
+        return new Promise(resolve => resolve(this.store.save()))
+            .catch(error => {
+                console.error('Failed to save tasks:', error);
+                this.showError('Failed to save tasks. Storage might be full.');
+            });
+    }
+    
+    /**
+     * Load tasks from the storage backend
+     */
+    async loadTasks() {
         try {
-            const dataToSave = {
-                tasks: this.tasks,
-                taskIdCounter: this.taskIdCounter,
-                lastSaved: new Date().toISOString()
-            };
-            localStorage.setItem('todoApp', JSON.stringify(dataToSave));
+            await this.store.load();
         } catch (error) {
-            console.error('Failed to save tasks:', error);
-            this.showError('Failed to save tasks. Storage might be full.');
+            console.error('Failed to load tasks:', error);
+            if (error instanceof StorageReadError) {
+                await this.quarantineData(error.rawData, error);
+            }
         }
     }
     
     /**
-     * Load tasks from localStorage
+     * Move unreadable saved data to a backup key and tell the user
      */
-    loadTasks() {
+    async quarantineData(rawData, error) {
+        let backupKey;
         try {
-            const savedData = localStorage.getItem('todoApp');
-            if (savedData) {
-                const data = JSON.parse(savedData);
-                this.tasks = data.tasks || [];
-                this.taskIdCounter = data.taskIdCounter || 0;
-                
-                // Validate loaded data
-                this.tasks = this.tasks.filter(task => 
-                    task && typeof task.text === 'string' && typeof task.id === 'number'
-                );
+            backupKey = await this.storage.quarantine(rawData);
+        } catch (storageError) {
+            console.error('Failed to quarantine saved tasks:', storageError);
+            this.showError(`Saved tasks could not be loaded (${error.message}).`);
+            return;
+        }
+        
+        this.showError(
+            `Saved tasks could not be loaded (${error.message}). ` +
+            `A copy was kept in storage under "${backupKey}".`
+        );
+    }
+    
+    /**
+     * Save undo/redo history through the storage backend
+     */
+    saveHistory() {
+        return new Promise(resolve => resolve(this.storage.setItem(HISTORY_KEY, JSON.stringify(this.history))))
+            .catch(error => {
+                console.error('Failed to save history:', error);
+            });
+    }
+    
+    /**
+     * Load undo/redo history from the storage backend
+     */
+    async loadHistory() {
+        try {
+            const savedHistory = JSON.parse(await this.storage.getItem(HISTORY_KEY));
+            if (savedHistory && Array.isArray(savedHistory.undo) && Array.isArray(savedHistory.redo)) {
+                this.history = {
+                    undo: savedHistory.undo.slice(-this.historyLimit),
+                    redo: savedHistory.redo.slice(-this.historyLimit)
+                };
             }
         } catch (error) {
-            console.error('Failed to load tasks:', error);
-            this.tasks = [];
-            this.taskIdCounter = 0;
+            console.error('Failed to load history:', error);
         }
     }
     
     /**
-     * Export tasks as JSON
+     * Export tasks in one of EXPORT_FORMATS (json, csv, markdown, ics):
+     * one list when a listId is given, otherwise every list
      */
-    exportTasks() {
+    exportTasks({ listId = null, format = 'json' } = {}) {
+        const fileType = EXPORT_FORMATS[format];
+        if (!fileType) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+        
+        const list = listId !== null ? this.getList(listId) : null;
         const dataToExport = {
-            tasks: this.tasks,
+            tasks: list ? this.getListTasks(list.id) : this.tasks.filter(task => !task.trashedAt),
+            lists: list ? [list] : this.lists,
             exportDate: new Date().toISOString(),
-            version: '1.0'
+            version: SCHEMA_VERSION
         };
         
-        const dataStr = JSON.stringify(dataToExport, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
+        const dataStr = serializeTasks(format, dataToExport);
+        const dataBlob = new Blob([dataStr], { type: fileType.mimeType });
+        const slug = list ? `${list.name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '')}-` : '';
         
         const link = document.createElement('a');
         link.href = URL.createObjectURL(dataBlob);
-        link.download = `todo-tasks-${new Date().toISOString().split('T')[0]}.json`;
+        link.download = `todo-tasks-${slug}${new Date().toISOString().split('T')[0]}.${fileType.extension}`;
         link.click();
         
         URL.revokeObjectURL(link.href);
     }
     
     /**
-     * Get application statistics
+     * Import tasks from an export file, file text or parsed export object.
+     * JSON, CSV, Markdown and iCalendar files are recognised by name or
+     * content; pass format to skip the guess.
+     * Mode "merge" appends to the current tasks, "replace" swaps them out.
+     * Imported lists join the list with the same name (or are created);
+     * files from before lists existed import into the current list.
+     * Tasks whose text matches an existing task in the same list
+     * (case-insensitive) are reported as conflicts; pass conflict:
+     * 'overwrite' to update the existing task instead of skipping the
+     * imported one. Tasks whose text is too long to save are skipped and
+     * listed in tooLong; tasks breaking any other rule of add and edit
+     * (deadline, repeat, priority, notes) are skipped and counted in
+     * invalid.
+     */
+    async importTasks(source, { mode = 'merge', conflict = 'skip', format = null } = {}) {
+        if (mode !== 'merge' && mode !== 'replace') {
+            throw new Error(`Unknown import mode: ${mode}`);
+        }
+        
+        const raw = await this.readImportSource(source, format);
+        const hasLists = Boolean(raw) && typeof raw === 'object' && Array.isArray(raw.lists);
+        const data = this.store.migrateData(raw);
+        const incoming = data.tasks;
+        
+        const result = { imported: 0, overwritten: 0, invalid: 0, conflicts: [], tooLong: [] };
+        
+        // Ids are taken inside the change so undo and other tabs see the
+        // counters move with the tasks
+        this.recordChange('Import tasks', () => {
+            const tasks = mode === 'replace' ? [] : this.tasks.map(task => ({ ...task }));
+            const lists = this.lists.map(list => ({ ...list }));
+            
+            // Map imported list ids onto lists here, matching by name
+            const listIds = new Map();
+            if (hasLists) {
+                this.store.sanitizeLists(data.lists).forEach(rawList => {
+                    let list = lists.find(l => l.name.toLowerCase() === rawList.name.toLowerCase());
+                    if (!list) {
+                        list = { id: ++this.listIdCounter, name: rawList.name.slice(0, 40) };
+                        lists.push(list);
+                    }
+                    listIds.set(rawList.id, list.id);
+                });
+            }
+            
+            // Imported recurring series get new series ids alongside new task ids
+            const seriesIds = new Map();
+            
+            incoming.forEach(rawTask => {
+                if (!this.store.isValidTask(rawTask)) {
+                    result.invalid++;
+                    return;
+                }
+                
+                // Apply the rules of add and edit, so every imported task
+                // can be edited and saved again
+                const imported = this.normalizeImportedTask(rawTask);
+                const { text } = imported;
+                try {
+                    this.store.validate(imported);
+                } catch (error) {
+                    if (!(error instanceof TaskValidationError)) throw error;
+                    if (error.code === 'text-too-long') {
+                        result.tooLong.push(text);
+                    } else {
+                        result.invalid++;
+                    }
+                    return;
+                }
+                
+                const listId = listIds.has(rawTask.listId) ? listIds.get(rawTask.listId) : this.currentListId;
+                const oldSeriesId = getSeriesId(rawTask);
+                const existing = this.store.findDuplicateTask(text, {
+                    tasks: tasks.filter(task => task.listId === listId),
+                    seriesId: seriesIds.has(oldSeriesId) ? seriesIds.get(oldSeriesId) : null
+                });
+                
+                if (existing) {
+                    result.conflicts.push({ text, existingId: existing.id });
+                    if (conflict === 'overwrite') {
+                        Object.assign(existing, imported, { nextOccurrenceId: undefined });
+                        result.overwritten++;
+                    }
+                    return;
+                }
+                
+                const id = ++this.taskIdCounter;
+                if (oldSeriesId !== null && !seriesIds.has(oldSeriesId)) {
+                    seriesIds.set(oldSeriesId, id);
+                }
+                tasks.push({
+                    ...imported,
+                    id,
+                    seriesId: oldSeriesId !== null ? seriesIds.get(oldSeriesId) : undefined,
+                    listId
+                });
+                result.imported++;
+            });
+            
+            this.tasks = tasks;
+            this.lists = lists;
+        });
+        if (mode === 'replace') {
+            this.editingTaskId = null;
+            this.editingNotesTaskId = null;
+        }
+        this.saveTasks();
+        this.render();
+        
+        return result;
+    }
+    
+    /**
+     * Resolve an import source (File/Blob, file text or object) to data.
+     * Non-JSON formats carry no version, so they are read as current.
+     */
+    async readImportSource(source, format = null) {
+        let data = source;
+        let fileName = '';
+        
+        if (typeof Blob !== 'undefined' && source instanceof Blob) {
+            fileName = source.name || '';
+            data = await source.text();
+        }
+        
+        if (typeof data !== 'string') {
+            return data;
+        }
+        
+        const detected = format || detectImportFormat(data, fileName);
+        const parsed = parseTasks(detected, data);
+        return detected === 'json' ? parsed : { ...parsed, version: SCHEMA_VERSION };
+    }
+    
+    /**
+     * Copy the fields an import may set into the shape used by addTask(),
+     * filling in missing ones. Everything else (ids, list, trash and sync
+     * stamps) is dropped; importTasks() sets ids and the list itself.
+     */
+    normalizeImportedTask(rawTask) {
+        const completed = Boolean(rawTask.completed);
+        
+        return {
+            text: rawTask.text.trim(),
+            completed,
+            createdAt: typeof rawTask.createdAt === 'string' ? rawTask.createdAt : new Date().toISOString(),
+            completedAt: completed && typeof rawTask.completedAt === 'string' ? rawTask.completedAt : null,
+            deadline: rawTask.deadline || null,
+            recurrence: rawTask.recurrence || null,
+            priority: rawTask.priority === undefined || rawTask.priority === null ? 'none' : rawTask.priority,
+            notes: rawTask.notes === undefined || rawTask.notes === null ? '' : rawTask.notes,
+            tags: Array.isArray(rawTask.tags)
+                ? [...new Set(rawTask.tags.map(tag => normalizeTag(tag)).filter(Boolean))]
+                : [],
+            subtasks: Array.isArray(rawTask.subtasks)
+                ? rawTask.subtasks.filter(subtask =>
+                    subtask && typeof subtask.text === 'string' && typeof subtask.id === 'number')
+                : []
+        };
+    }
+    
+    /**
+     * Handle a file chosen with the import button
+     */
+    handleImportFile(file) {
+        if (!file) return;
+        
+        const mode = this.elements.importMode.value;
+        const runImport = () => {
+            this.importTasks(file, { mode })
+                .then(result => this.reportImportResult(result))
+                .catch(error => {
+                    console.error('Failed to import tasks:', error);
+                    this.showError(error.message);
+                });
+        };
+        
+        if (mode === 'replace' && this.tasks.length > 0) {
+            this.confirmAction(
+                'Replace Tasks',
+                'Importing will replace all of your current tasks. Continue?',
+                runImport
+            );
+        } else {
+            runImport();
+        }
+    }
+    
+    /**
+     * Summarize an import result for the user
+     */
+    reportImportResult(result) {
+        const { imported, overwritten, invalid, conflicts, tooLong } = result;
+        
+        this.clearError();
+        this.showTemporaryFeedback(
+            `Imported ${imported} task${imported === 1 ? '' : 's'}` +
+            (overwritten ? `, updated ${overwritten}` : '') + '.'
+        );
+        
+        const problems = [];
+        if (conflicts.length > overwritten) {
+            const names = conflicts.map(c => `"${c.text}"`).join(', ');
+            problems.push(`Skipped ${conflicts.length} duplicate task${conflicts.length === 1 ? '' : 's'}: ${names}.`);
+        }
+        if (tooLong.length) {
+            const names = tooLong.map(text => `"${text.slice(0, 30)}…"`).join(', ');
+            problems.push(`Skipped ${tooLong.length} task${tooLong.length === 1 ? '' : 's'} longer than ${TASK_TEXT_MAX_LENGTH} characters: ${names}.`);
+        }
+        if (invalid) {
+            problems.push(`Ignored ${invalid} invalid entr${invalid === 1 ? 'y' : 'ies'}.`);
+        }
+        if (problems.length) {
+            this.showError(problems.join(' '));
+        }
+    }
+    
+    /**
+     * Get application statistics for every list, or one list when a
+     * listId is given, leaving out the trash. Activity figures cover the
+     * `range` days up to and including today:
+     *
+     *   completedPerDay / completedPerWeek  [{ date | weekStart, count }]
+     *   averageCompletionTime               ms from createdAt to completedAt, or null
+     *   deadlines                           { onTime, late, noDeadline } completions
+     *   overdueTrend                        [{ date, count }] overdue at the end of each day
+     *
+     * The streak counts consecutive days with a completion, ending today
+     * (or yesterday, until something is completed today).
      */
-    getStats() {
-        const total = this.tasks.length;
-        const completed = this.tasks.filter(task => task.completed).length;
+    getStats({ range = 30, listId = null, now = new Date() } = {}) {
+        const tasks = listId === null ? this.tasks.filter(task => !task.trashedAt) : this.getListTasks(listId);
+        const total = tasks.length;
+        const completed = tasks.filter(task => task.completed).length;
         const active = total - completed;
+        const subtasks = tasks.flatMap(task => task.subtasks || []);
+        
+        const days = Math.max(1, Math.floor(range) || 30);
+        const end = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+        const start = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1 - days);
+        const dayKeys = Array.from({ length: days }, (_, index) =>
+            this.toDateKey(new Date(start.getFullYear(), start.getMonth(), start.getDate() + index))
+        );
+        
+        // When each task was completed: never (Infinity) or at an unknown time (-Infinity)
+        const completedTime = (task) => !task.completed
+            ? Infinity
+            : (task.completedAt ? Date.parse(task.completedAt) : -Infinity);
+        const completedInRange = tasks.filter(task => {
+            const time = completedTime(task);
+            return time >= start.getTime() && time < end.getTime();
+        });
+        
+        const perDay = new Map(dayKeys.map(key => [key, 0]));
+        const perWeek = new Map();
+        dayKeys.forEach(key => {
+            const day = this.fromDateKey(key);
+            perWeek.set(this.toDateKey(new Date(day.getFullYear(), day.getMonth(), day.getDate() - day.getDay())), 0);
+        });
+        completedInRange.forEach(task => {
+            const day = new Date(task.completedAt);
+            const weekKey = this.toDateKey(new Date(day.getFullYear(), day.getMonth(), day.getDate() - day.getDay()));
+            perDay.set(this.toDateKey(day), perDay.get(this.toDateKey(day)) + 1);
+            perWeek.set(weekKey, perWeek.get(weekKey) + 1);
+        });
+        
+        const durations = completedInRange
+            .filter(task => task.createdAt)
+            .map(task => Date.parse(task.completedAt) - Date.parse(task.createdAt))
+            .filter(duration => duration >= 0);
+        
+        const deadlines = { onTime: 0, late: 0, noDeadline: 0 };
+        completedInRange.forEach(task => {
+            if (!task.deadline) {
+                deadlines.noDeadline++;
+            } else if (Date.parse(task.completedAt) <= new Date(task.deadline).getTime()) {
+                deadlines.onTime++;
+            } else {
+                deadlines.late++;
+            }
+        });
+        
+        // Overdue at the end of each day, or right now for today
+        const overdueTrend = dayKeys.map(key => {
+            const day = this.fromDateKey(key);
+            const at = Math.min(new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1).getTime(), now.getTime());
+            const count = tasks.filter(task =>
+                task.deadline &&
+                new Date(task.deadline).getTime() < at &&
+                (!task.createdAt || Date.parse(task.createdAt) <= at) &&
+                completedTime(task) > at
+            ).length;
+            return { date: key, count };
+        });
         
         return {
             total,
             completed,
             active,
-            completionRate: total > 0 ? Math.round((completed / total) * 100) : 0
+            completionRate: total > 0 ? Math.round((completed / total) * 100) : 0,
+            subtasks: {
+                total: subtasks.length,
+                completed: subtasks.filter(subtask => subtask.completed).length
+            },
+            range: { days, start: start.toISOString(), end: end.toISOString() },
+            completedInRange: completedInRange.length,
+            completedPerDay: [...perDay].map(([date, count]) => ({ date, count })),
+            completedPerWeek: [...perWeek].map(([weekStart, count]) => ({ weekStart, count })),
+            averageCompletionTime: durations.length > 0
+                ? Math.round(durations.reduce((sum, duration) => sum + duration, 0) / durations.length)
+                : null,
+            deadlines,
+            streak: this.getCompletionStreak(tasks, now),
+            overdueTrend,
+            lists: this.lists.map(list => {
+                const listTasks = this.getListTasks(list.id);
+                return {
+                    id: list.id,
+                    name: list.name,
+                    total: listTasks.length,
+                    completed: listTasks.filter(task => task.completed).length
+                };
+            })
+        };
+    }
+    
+    /**
+     * Count consecutive days with at least one completion: the run
+     * ending today (or yesterday) and the longest run ever
+     */
+    getCompletionStreak(tasks, now = new Date()) {
+        const days = new Set(tasks
+            .filter(task => task.completed && task.completedAt)
+            .map(task => this.toDateKey(new Date(task.completedAt))));
+        const dayBefore = (key) => {
+            const day = this.fromDateKey(key);
+            return this.toDateKey(new Date(day.getFullYear(), day.getMonth(), day.getDate() - 1));
         };
+        
+        let longest = 0;
+        days.forEach(key => {
+            if (days.has(dayBefore(key))) return;
+            // key starts a run; walk forward to its end
+            let length = 0;
+            let day = this.fromDateKey(key);
+            while (days.has(this.toDateKey(day))) {
+                length++;
+                day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+            }
+            longest = Math.max(longest, length);
+        });
+        
+        let current = 0;
+        let key = this.toDateKey(now);
+        if (!days.has(key)) {
+            key = dayBefore(key);
+        }
+        while (days.has(key)) {
+            current++;
+            key = dayBefore(key);
+        }
+        
+        return { current, longest };
     }
     
     /**
      * Initialize theme
      */
-    initTheme() {
-        this.setTheme(this.currentTheme);
+    async initTheme() {
+        this.setTheme((await this.getStoredTheme()) || this.currentTheme);
     }
     
     /**
-     * Get stored theme from localStorage
+     * Get stored theme from the storage backend
      */
-    getStoredTheme() {
+    async getStoredTheme() {
         try {
-            return localStorage.getItem('todoapp-theme');
+            return await this.storage.getItem(THEME_KEY);
         } catch (error) {
             console.error('Failed to get stored theme:', error);
             return null;
@@ -817,16 +5081,179 @@ class TodoApp {
     }
     
     /**
-     * Store theme in localStorage
+     * Store theme through the storage backend
      */
     storeTheme(theme) {
+        return new Promise(resolve => resolve(this.storage.setItem(THEME_KEY, theme)))
+            .catch(error => {
+                console.error('Failed to store theme:', error);
+            });
+    }
+    
+    /**
+     * Restore the stored sort mode
+     */
+    async initSort() {
+        try {
+            const storedSort = await this.storage.getItem(SORT_KEY);
+            if (SORT_MODES.includes(storedSort)) {
+                this.currentSort = storedSort;
+            }
+        } catch (error) {
+            console.error('Failed to get stored sort mode:', error);
+        }
+        this.elements.sortMode.value = this.currentSort;
+    }
+    
+    /**
+     * Restore the stored view
+     */
+    async initView() {
+        try {
+            const storedView = await this.storage.getItem(VIEW_KEY);
+            if (VIEW_MODES.includes(storedView)) {
+                this.currentView = storedView;
+            }
+        } catch (error) {
+            console.error('Failed to get stored view:', error);
+        }
+        this.elements.viewBtns.forEach(btn => {
+            const isActive = btn.dataset.view === this.currentView;
+            btn.classList.toggle('active', isActive);
+            btn.setAttribute('aria-pressed', String(isActive));
+        });
+    }
+    
+    /**
+     * Restore the current list and each list's filters
+     */
+    async loadListState() {
+        try {
+            const stored = JSON.parse(await this.storage.getItem(LIST_KEY));
+            if (stored && typeof stored === 'object') {
+                this.listFilters = stored.filters && typeof stored.filters === 'object' ? stored.filters : {};
+                if (this.getList(stored.currentListId)) {
+                    this.currentListId = stored.currentListId;
+                }
+            }
+        } catch (error) {
+            console.error('Failed to load list state:', error);
+        }
+        
+        if (!this.getList(this.currentListId)) {
+            this.currentListId = this.lists[0].id;
+        }
+        this.restoreListFilters();
+    }
+    
+    /**
+     * Store the current list and each list's filters through the storage backend
+     */
+    storeListState() {
+        const state = { currentListId: this.currentListId, filters: this.listFilters };
+        return new Promise(resolve => resolve(this.storage.setItem(LIST_KEY, JSON.stringify(state))))
+            .catch(error => {
+                console.error('Failed to store list state:', error);
+            });
+    }
+    
+    /**
+     * Load remapped keyboard shortcuts from the storage backend
+     */
+    async loadShortcuts() {
+        try {
+            const stored = JSON.parse(await this.storage.getItem(SHORTCUT_KEY));
+            if (stored && typeof stored === 'object') {
+                Object.entries(stored).forEach(([commandId, keys]) => {
+                    if (Array.isArray(keys) && keys.every(key => typeof key === 'string')) {
+                        this.shortcutOverrides[commandId] = keys;
+                    }
+                });
+            }
+        } catch (error) {
+            console.error('Failed to load shortcuts:', error);
+        }
+    }
+    
+    /**
+     * Load the sync server address and start syncing with it
+     */
+    async loadServerSync() {
+        try {
+            const stored = JSON.parse(await this.storage.getItem(SERVER_SYNC_KEY));
+            if (stored && typeof stored.endpoint === 'string' && stored.endpoint) {
+                this.startServerSync(stored.endpoint);
+            }
+        } catch (error) {
+            console.error('Failed to load sync settings:', error);
+        }
+        this.renderSyncStatus();
+    }
+    
+    /**
+     * Store the sync server address through the storage backend
+     */
+    storeSyncEndpoint() {
+        return new Promise(resolve => resolve(this.storage.setItem(SERVER_SYNC_KEY, JSON.stringify({ endpoint: this.syncEndpoint }))))
+            .catch(error => {
+                console.error('Failed to store sync settings:', error);
+            });
+    }
+    
+    /**
+     * Load how long trashed tasks are kept
+     */
+    async loadTrashSettings() {
         try {
-            localStorage.setItem('todoapp-theme', theme);
+            const stored = JSON.parse(await this.storage.getItem(TRASH_KEY));
+            if (stored && TRASH_RETENTION_DAYS.includes(stored.retentionDays)) {
+                this.trashRetentionDays = stored.retentionDays;
+            }
         } catch (error) {
-            console.error('Failed to store theme:', error);
+            console.error('Failed to load trash settings:', error);
         }
     }
     
+    /**
+     * Store how long trashed tasks are kept through the storage backend
+     */
+    storeTrashSettings() {
+        return new Promise(resolve => resolve(this.storage.setItem(TRASH_KEY, JSON.stringify({ retentionDays: this.trashRetentionDays }))))
+            .catch(error => {
+                console.error('Failed to store trash settings:', error);
+            });
+    }
+    
+    /**
+     * Store remapped keyboard shortcuts through the storage backend
+     */
+    storeShortcuts() {
+        return new Promise(resolve => resolve(this.storage.setItem(SHORTCUT_KEY, JSON.stringify(this.shortcutOverrides))))
+            .catch(error => {
+                console.error('Failed to store shortcuts:', error);
+            });
+    }
+    
+    /**
+     * Store view through the storage backend
+     */
+    storeView(view) {
+        return new Promise(resolve => resolve(this.storage.setItem(VIEW_KEY, view)))
+            .catch(error => {
+                console.error('Failed to store view:', error);
+            });
+    }
+    
+    /**
+     * Store sort mode through the storage backend
+     */
+    storeSort(sortMode) {
+        return new Promise(resolve => resolve(this.storage.setItem(SORT_KEY, sortMode)))
+            .catch(error => {
+                console.error('Failed to store sort mode:', error);
+            });
+    }
+    
     /**
      * Set theme
      */
@@ -892,19 +5319,64 @@ document.addEventListener('DOMContentLoaded', () => {
     // Add some helpful console methods for debugging
     console.log('Todo App initialized! Try these commands:');
     console.log('todoApp.getStats() - Get app statistics');
-    console.log('todoApp.exportTasks() - Export tasks as JSON');
+    console.log('todoApp.exportTasks({ format }) - Export tasks as json, csv, markdown or ics');
+    console.log("todoApp.importTasks(data, { mode: 'merge' }) - Import exported tasks");
     console.log('todoApp.tasks - View all tasks');
+    console.log("todoApp.store.add({ text: 'Call Sam' }) - Change tasks from scripts (see store.js)");
+    console.log("todoApp.store.subscribe('task:completed', e => ...) - Listen for task changes");
 });
 
-// Service Worker registration for offline functionality (optional)
-if ('serviceWorker' in navigator) {
-    window.addEventListener('load', () => {
-        navigator.serviceWorker.register('/sw.js')
-            .then(registration => {
-                console.log('SW registered: ', registration);
-            })
-            .catch(registrationError => {
-                console.log('SW registration failed: ', registrationError);
-            });
+/**
+ * Register the service worker (sw.js) for offline use, and offer a
+ * reload once a new version has installed and is waiting
+ */
+function registerServiceWorker() {
+    let reloadRequested = false;
+    
+    const showUpdatePrompt = (worker) => {
+        const banner = document.getElementById('updateBanner');
+        banner.classList.remove('hidden');
+        document.getElementById('updateReload').onclick = () => {
+            reloadRequested = true;
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        };
+        document.getElementById('updateDismiss').onclick = () => {
+            banner.classList.add('hidden');
+        };
+    };
+    
+    // The new worker takes over after SKIP_WAITING; reload onto it. The
+    // first install also changes controller, but nobody asked to reload.
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloadRequested) {
+            reloadRequested = false;
+            window.location.reload();
+        }
     });
+    
+    // Relative path so the app can be served from a subfolder
+    navigator.serviceWorker.register('sw.js')
+        .then(registration => {
+            // An update installed during an earlier visit may already be waiting
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                showUpdatePrompt(registration.waiting);
+            }
+            
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // Without a controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        showUpdatePrompt(worker);
+                    }
+                });
+            });
+        })
+        .catch(registrationError => {
+            console.log('SW registration failed: ', registrationError);
+        });
+}
+
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', registerServiceWorker);
 }
@@ -0,0 +1,653 @@
+/**
+ * Task Serializers
+ * Convert exported data to and from the file formats the app can export:
+ *
+ *   json       The full export object, as saved by older versions
+ *   csv        One row per task with every field; quoted per RFC 4180, with
+ *              fields that look like formulas escaped for spreadsheet apps
+ *   markdown   "- [ ]" / "- [x]" checklist, one "## heading" per list
+ *   ics        iCalendar VTODO entries (RFC 5545); notes in DESCRIPTION,
+ *              subtasks in X-TODOAPP-SUBTASK properties
+ *
+ * serializeTasks(format, { tasks, lists, exportDate }) returns the file
+ * text. parseTasks(format, text) returns { tasks, lists } in the shape
+ * importTasks() expects; `lists` is left out when the file names none.
+ * Fields a format cannot hold (repeats in Markdown, for example) are
+ * dropped on export and left empty on import.
+ *
+ * The serializers have no DOM dependencies so they can be tested on their own.
+ */
+
+const EXPORT_FORMATS = {
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+    ics: { label: 'iCalendar', extension: 'ics', mimeType: 'text/calendar' }
+};
+
+// CSV columns in export order. recurrence and subtasks hold JSON.
+const CSV_COLUMNS = [
+    'id', 'text', 'completed', 'list', 'priority', 'tags', 'deadline', 'recurrence',
+    'subtasks', 'notes', 'createdAt', 'completedAt', 'seriesId', 'nextOccurrenceId'
+];
+
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Task priority to iCalendar PRIORITY (1 = highest, 9 = lowest, 0 = none)
+const ICS_PRIORITIES = { urgent: 1, high: 3, medium: 5, low: 7 };
+
+/**
+ * Serialize export data ({ tasks, lists, exportDate, version }) to text
+ */
+function serializeTasks(format, data) {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(data, null, 2);
+        case 'csv':
+            return serializeCsv(data);
+        case 'markdown':
+            return serializeMarkdown(data);
+        case 'ics':
+            return serializeIcs(data);
+        default:
+            throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+/**
+ * Parse file text in the given format into { tasks, lists }. JSON files
+ * come back as written so importTasks() can migrate them.
+ */
+function parseTasks(format, text) {
+    const source = String(text).replace(/^\uFEFF/, '');
+
+    switch (format) {
+        case 'json':
+            try {
+                return JSON.parse(source);
+            } catch (error) {
+                throw new Error('Import file is not valid JSON.');
+            }
+        case 'csv':
+            return parseCsv(source);
+        case 'markdown':
+            return parseMarkdown(source);
+        case 'ics':
+            return parseIcs(source);
+        default:
+            throw new Error(`Unknown import format: ${format}`);
+    }
+}
+
+/**
+ * Work out the format of an import file from its name, then its content
+ */
+function detectImportFormat(text, fileName = '') {
+    const extension = (fileName.match(/\.([^.]+)$/) || [])[1];
+    if (extension) {
+        const byExtension = { json: 'json', csv: 'csv', md: 'markdown', markdown: 'markdown', ics: 'ics', ical: 'ics' };
+        if (byExtension[extension.toLowerCase()]) return byExtension[extension.toLowerCase()];
+    }
+
+    const start = String(text).replace(/^\uFEFF/, '').trimStart();
+    if (start.startsWith('{') || start.startsWith('[')) return 'json';
+    if (/^BEGIN:VCALENDAR/i.test(start)) return 'ics';
+    if (/^\s*[-*+]\s+\[[ xX]\]/m.test(start)) return 'markdown';
+    return 'csv';
+}
+
+/**
+ * Get the name of a task's list, or '' when the export has no lists
+ */
+function getListName(task, lists = []) {
+    const list = lists.find(l => l.id === task.listId);
+    return list ? list.name : '';
+}
+
+/**
+ * Build a lists array from names in file order, returning the id for each
+ * name through `idFor(name)`
+ */
+function createListCollector() {
+    const lists = [];
+    return {
+        lists,
+        idFor(name) {
+            const trimmed = name.trim();
+            if (!trimmed) return undefined;
+            let list = lists.find(l => l.name.toLowerCase() === trimmed.toLowerCase());
+            if (!list) {
+                list = { id: lists.length + 1, name: trimmed };
+                lists.push(list);
+            }
+            return list.id;
+        }
+    };
+}
+
+/**
+ * Format a Date as a deadline value ("YYYY-MM-DDTHH:MM", local time)
+ */
+function toLocalDeadline(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/* ---------- CSV ---------- */
+
+// Fields spreadsheet apps would run as a formula, behind any "'" already
+// added. Such fields get one more leading "'", which parseCsv() removes.
+const CSV_FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+
+/**
+ * Quote a CSV field when it holds a comma, quote, line break or edge
+ * space, after guarding it against formula injection
+ */
+function quoteCsvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (CSV_FORMULA_PATTERN.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function serializeCsv({ tasks, lists }) {
+    const rows = tasks.map(task => CSV_COLUMNS.map(column => {
+        switch (column) {
+            case 'list':
+                return getListName(task, lists);
+            case 'tags':
+                return (task.tags || []).join(' ');
+            case 'recurrence':
+                return task.recurrence ? JSON.stringify(task.recurrence) : '';
+            case 'subtasks':
+                return task.subtasks && task.subtasks.length ? JSON.stringify(task.subtasks) : '';
+            case 'completed':
+                return task.completed ? 'true' : 'false';
+            default:
+                return task[column];
+        }
+    }));
+
+    // The byte order mark makes spreadsheet apps read the file as UTF-8
+    return '\uFEFF' + [CSV_COLUMNS, ...rows]
+        .map(row => row.map(quoteCsvField).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+/**
+ * Split CSV text into rows of fields, honouring quoted commas, quotes
+ * and line breaks
+ */
+function readCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('CSV file has an unclosed quoted field.');
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Skip blank lines
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+/**
+ * Read a JSON cell, or null when it is empty or not JSON
+ */
+function parseJsonCell(value) {
+    if (!value.trim()) return null;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+function parseCsv(text) {
+    const [header, ...rows] = readCsvRows(text);
+    const columns = (header || []).map(name => name.trim().toLowerCase());
+    if (!columns.includes('text')) {
+        throw new Error('CSV file needs a "text" column.');
+    }
+
+    const collector = createListCollector();
+    const tasks = rows.map((cells, index) => {
+        const cell = (name) => {
+            const position = columns.indexOf(name.toLowerCase());
+            const value = position === -1 ? '' : (cells[position] || '');
+            return (value.startsWith("'") && CSV_FORMULA_PATTERN.test(value.slice(1)) ? value.slice(1) : value).trim();
+        };
+        const number = (name) => {
+            const value = parseInt(cell(name), 10);
+            return Number.isInteger(value) ? value : undefined;
+        };
+        const deadline = cell('deadline').replace(' ', 'T');
+        const subtasks = parseJsonCell(cell('subtasks'));
+
+        return {
+            id: number('id') || index + 1,
+            text: cell('text'),
+            completed: /^(true|yes|1|x)$/i.test(cell('completed')),
+            listId: collector.idFor(cell('list')),
+            priority: cell('priority').toLowerCase() || 'none',
+            tags: cell('tags').split(/[\s,]+/).map(tag => tag.replace(/^#/, '')).filter(Boolean),
+            deadline: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(deadline) ? deadline.slice(0, 16) : null,
+            recurrence: parseJsonCell(cell('recurrence')),
+            subtasks: Array.isArray(subtasks) ? subtasks : [],
+            notes: cell('notes'),
+            createdAt: cell('createdAt') || undefined,
+            completedAt: cell('completedAt') || null,
+            seriesId: number('seriesId')
+        };
+    });
+
+    return collector.lists.length ? { tasks, lists: collector.lists } : { tasks };
+}
+
+/* ---------- Markdown ---------- */
+
+/**
+ * Write a task as a checklist line: text, then !priority, #tags and
+ * "(due YYYY-MM-DD HH:MM)". A "#" or "!" starting a word of the text is
+ * escaped as "\#" / "\!" so it is not read back as a tag or priority.
+ * Subtasks follow as indented items, then notes as indented "> " quote
+ * lines.
+ */
+function formatMarkdownTask(task) {
+    const text = task.text.replace(/\s+/g, ' ').replace(/(^|\s)([#!])/g, '$1\\$2');
+    const parts = [`- [${task.completed ? 'x' : ' '}] ${text}`];
+    if (task.priority && task.priority !== 'none') parts.push(`!${task.priority}`);
+    (task.tags || []).forEach(tag => parts.push(`#${tag}`));
+    if (task.deadline) parts.push(`(due ${task.deadline.replace('T', ' ')})`);
+
+    const subtasks = (task.subtasks || []).map(subtask =>
+        `  - [${subtask.completed ? 'x' : ' '}] ${subtask.text.replace(/\s+/g, ' ')}`);
+    const notes = task.notes ? task.notes.split(/\r?\n/).map(line => (line ? `  > ${line}` : '  >')) : [];
+    return [parts.join(' '), ...subtasks, ...notes].join('\n');
+}
+
+function serializeMarkdown({ tasks, lists = [] }) {
+    const sections = lists
+        .map(list => ({ name: list.name, tasks: tasks.filter(task => task.listId === list.id) }))
+        .filter(section => section.tasks.length > 0);
+
+    // Tasks outside every list (or exports without lists) go first, unheaded
+    const listed = new Set(lists.map(list => list.id));
+    const loose = tasks.filter(task => !listed.has(task.listId));
+
+    const blocks = [];
+    if (loose.length) {
+        blocks.push(loose.map(formatMarkdownTask).join('\n'));
+    }
+    sections.forEach(section => {
+        blocks.push(`## ${section.name}\n\n${section.tasks.map(formatMarkdownTask).join('\n')}`);
+    });
+
+    return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * Read the text, priority, tags and due date back out of a checklist item
+ */
+function parseMarkdownItem(body) {
+    let text = body;
+    let deadline = null;
+    let priority = 'none';
+    const tags = [];
+
+    text = text.replace(/\s*\(due (\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}))?\)\s*$/i, (match, date, time) => {
+        deadline = `${date}T${time || '23:59'}`;
+        return '';
+    });
+    text = text.replace(/(^|\s)!(low|medium|high|urgent)(?=\s|$)/i, (match, space, level) => {
+        priority = level.toLowerCase();
+        return space;
+    });
+    text = text.replace(/(^|\s)#([\p{L}\p{N}_-]{1,30})(?=\s|$)/gu, (match, space, tag) => {
+        tags.push(tag.toLowerCase());
+        return space;
+    });
+    text = text.replace(/(^|\s)\\([#!])/g, '$1$2');
+
+    return { text: text.replace(/\s+/g, ' ').trim(), deadline, priority, tags };
+}
+
+function parseMarkdown(text) {
+    const collector = createListCollector();
+    const tasks = [];
+    let listId;
+    let nextId = 1;
+
+    text.split(/\r?\n/).forEach(line => {
+        const heading = line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+        if (heading) {
+            listId = collector.idFor(heading[1]);
+            return;
+        }
+
+        const quote = line.match(/^\s+>\s?(.*)$/);
+        if (quote && tasks.length) {
+            const task = tasks[tasks.length - 1];
+            task.notes = task.notes === undefined ? quote[1] : `${task.notes}\n${quote[1]}`;
+            return;
+        }
+
+        const item = line.match(/^(\s*)[-*+]\s+\[([ xX])\]\s+(.*)$/);
+        if (!item) return;
+
+        const completed = item[2] !== ' ';
+        const parent = tasks[tasks.length - 1];
+        if (item[1].length > 0 && parent) {
+            parent.subtasks.push({ id: parent.subtasks.length + 1, text: item[3].trim(), completed });
+            return;
+        }
+
+        tasks.push({
+            id: nextId++,
+            ...parseMarkdownItem(item[3]),
+            completed,
+            listId,
+            subtasks: []
+        });
+    });
+
+    if (tasks.length === 0) {
+        throw new Error('No "- [ ]" checklist items found in the Markdown file.');
+    }
+
+    return collector.lists.length ? { tasks, lists: collector.lists } : { tasks };
+}
+
+/* ---------- iCalendar ---------- */
+
+/**
+ * Escape a TEXT value: backslashes, semicolons, commas and line breaks
+ */
+function escapeIcsText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeIcsText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+}
+
+/**
+ * Fold a content line so no line is longer than 75 bytes of UTF-8;
+ * continuation lines start with a space
+ */
+function foldIcsLine(line) {
+    const lines = [];
+    let current = '';
+    let bytes = 0;
+
+    for (const char of line) {
+        const code = char.codePointAt(0);
+        const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+        const limit = lines.length ? 74 : 75;
+        if (bytes + size > limit) {
+            lines.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += char;
+        bytes += size;
+    }
+    lines.push(current);
+
+    return lines.join('\r\n ');
+}
+
+/**
+ * Format an ISO timestamp as a UTC DATE-TIME, e.g. 20261019T083000Z
+ */
+function toIcsTimestamp(iso) {
+    return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Read a DATE or DATE-TIME value into a Date. Values without "Z" are
+ * local time; DATE values mean the end of that day.
+ */
+function fromIcsDate(value) {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    if (hours === undefined) {
+        return new Date(Number(year), Number(month) - 1, Number(day), 23, 59);
+    }
+    const parts = [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds || 0)];
+    return utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+}
+
+/**
+ * Map iCalendar PRIORITY (1-9, 0 = undefined) back to a task priority
+ */
+function fromIcsPriority(value) {
+    if (!(value >= 1 && value <= 9)) return 'none';
+    if (value <= 2) return 'urgent';
+    if (value <= 4) return 'high';
+    return value === 5 ? 'medium' : 'low';
+}
+
+/**
+ * Convert a recurrence rule to an RRULE value
+ */
+function toIcsRule(rule) {
+    switch (rule.type) {
+        case 'daily':
+            return 'FREQ=DAILY';
+        case 'weekdays':
+            return 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR';
+        case 'weekly':
+            return `FREQ=WEEKLY;BYDAY=${rule.days.map(day => ICS_WEEKDAYS[day]).join(',')}`;
+        case 'monthlyDate':
+            return `FREQ=MONTHLY;BYMONTHDAY=${rule.dayOfMonth}`;
+        case 'monthlyWeekday':
+            return `FREQ=MONTHLY;BYDAY=${rule.nth}${ICS_WEEKDAYS[rule.weekday]}`;
+        case 'interval':
+            return `FREQ=DAILY;INTERVAL=${rule.interval}`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Convert an RRULE value back to a recurrence rule, or null when the app
+ * has no matching rule. `due` anchors rules that leave the day out.
+ */
+function fromIcsRule(value, due) {
+    const parts = {};
+    value.split(';').forEach(part => {
+        const [key, val = ''] = part.split('=');
+        parts[key.toUpperCase()] = val.toUpperCase();
+    });
+
+    const interval = parseInt(parts.INTERVAL || '1', 10);
+    const byDay = parts.BYDAY ? parts.BYDAY.split(',') : [];
+
+    if (parts.FREQ === 'DAILY') {
+        return interval > 1 ? { type: 'interval', interval } : { type: 'daily' };
+    }
+    if (interval !== 1) return null;
+
+    if (parts.FREQ === 'WEEKLY') {
+        const days = byDay.map(day => ICS_WEEKDAYS.indexOf(day)).filter(day => day !== -1).sort((a, b) => a - b);
+        if (days.join() === '1,2,3,4,5') return { type: 'weekdays' };
+        if (days.length) return { type: 'weekly', days };
+        return due ? { type: 'weekly', days: [due.getDay()] } : null;
+    }
+
+    if (parts.FREQ === 'MONTHLY') {
+        const weekday = byDay.length === 1 && byDay[0].match(/^([+-]?\d)([A-Z]{2})$/);
+        if (weekday) {
+            return { type: 'monthlyWeekday', nth: parseInt(weekday[1], 10), weekday: ICS_WEEKDAYS.indexOf(weekday[2]) };
+        }
+        const dayOfMonth = parseInt(parts.BYMONTHDAY, 10) || (due ? due.getDate() : NaN);
+        return Number.isInteger(dayOfMonth) ? { type: 'monthlyDate', dayOfMonth } : null;
+    }
+
+    return null;
+}
+
+function serializeIcs({ tasks, lists = [], exportDate = new Date().toISOString() }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//To-Do App//Tasks//EN',
+        'CALSCALE:GREGORIAN'
+    ];
+
+    tasks.forEach(task => {
+        const listName = getListName(task, lists);
+        lines.push('BEGIN:VTODO');
+        lines.push(`UID:task-${task.id}-${Date.parse(task.createdAt) || 0}@todo-app`);
+        lines.push(`DTSTAMP:${toIcsTimestamp(exportDate)}`);
+        if (task.createdAt) lines.push(`CREATED:${toIcsTimestamp(task.createdAt)}`);
+        lines.push(`SUMMARY:${escapeIcsText(task.text)}`);
+        lines.push(`STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+        if (task.deadline) {
+            // Deadlines are local wall-clock times, so DUE is written floating
+            lines.push(`DUE:${task.deadline.replace(/[-:]/g, '')}00`);
+        }
+        if (task.completed && task.completedAt) lines.push(`COMPLETED:${toIcsTimestamp(task.completedAt)}`);
+        if (ICS_PRIORITIES[task.priority]) lines.push(`PRIORITY:${ICS_PRIORITIES[task.priority]}`);
+        if (task.tags && task.tags.length) lines.push(`CATEGORIES:${task.tags.map(escapeIcsText).join(',')}`);
+        if (task.recurrence && toIcsRule(task.recurrence)) lines.push(`RRULE:${toIcsRule(task.recurrence)}`);
+        if (task.notes) lines.push(`DESCRIPTION:${escapeIcsText(task.notes)}`);
+        // Subtasks get a property each ("[x] text"), so checklist lines a
+        // description happens to contain stay part of the notes
+        (task.subtasks || []).forEach(subtask => {
+            lines.push(`X-TODOAPP-SUBTASK:${escapeIcsText(`[${subtask.completed ? 'x' : ' '}] ${subtask.text}`)}`);
+        });
+        if (listName) lines.push(`X-TODOAPP-LIST:${escapeIcsText(listName)}`);
+        lines.push('END:VTODO');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Split a content line into { name, params, value }. Parameter values may
+ * be quoted and contain ":" or ";".
+ */
+function readIcsProperty(line) {
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') quoted = !quoted;
+        if (line[i] === ':' && !quoted) {
+            const [name, ...params] = line.slice(0, i).split(';');
+            return { name: name.toUpperCase(), params, value: line.slice(i + 1) };
+        }
+    }
+    return null;
+}
+
+function parseIcs(text) {
+    // Unfold: a line break followed by a space or tab continues the line
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const collector = createListCollector();
+    const tasks = [];
+    let todo = null;
+
+    lines.forEach(line => {
+        const property = readIcsProperty(line);
+        if (!property) return;
+        const { name, value } = property;
+
+        if (name === 'BEGIN' && value.toUpperCase() === 'VTODO') {
+            todo = {};
+            return;
+        }
+        if (!todo) return;
+
+        if (name === 'END' && value.toUpperCase() === 'VTODO') {
+            tasks.push(todo);
+            todo = null;
+        } else if (name === 'X-TODOAPP-SUBTASK') {
+            todo.subtasks = (todo.subtasks || []).concat(unescapeIcsText(value));
+        } else if (name === 'CATEGORIES') {
+            // CATEGORIES may repeat; each holds a comma-separated list
+            todo.categories = (todo.categories || []).concat(
+                value.split(/(?<!\\),/).map(unescapeIcsText));
+        } else {
+            todo[name] = value;
+        }
+    });
+
+    if (tasks.length === 0) {
+        throw new Error('No VTODO entries found in the iCalendar file.');
+    }
+
+    return {
+        tasks: tasks.map((todo, index) => {
+            const due = todo.DUE ? fromIcsDate(todo.DUE) : null;
+            const completedAt = todo.COMPLETED ? fromIcsDate(todo.COMPLETED) : null;
+            const created = todo.CREATED ? fromIcsDate(todo.CREATED) : null;
+            const subtasks = (todo.subtasks || [])
+                .map(value => value.match(/^\[([ xX])\]\s+(.+)$/))
+                .filter(Boolean)
+                .map((item, i) => ({ id: i + 1, text: item[2].trim(), completed: item[1] !== ' ' }));
+
+            return {
+                id: index + 1,
+                text: unescapeIcsText(todo.SUMMARY || ''),
+                completed: (todo.STATUS || '').toUpperCase() === 'COMPLETED' || Boolean(completedAt),
+                createdAt: created ? created.toISOString() : undefined,
+                completedAt: completedAt ? completedAt.toISOString() : null,
+                deadline: due ? toLocalDeadline(due) : null,
+                recurrence: todo.RRULE ? fromIcsRule(todo.RRULE, due) : null,
+                priority: fromIcsPriority(parseInt(todo.PRIORITY, 10)),
+                tags: todo.categories || [],
+                subtasks,
+                notes: unescapeIcsText(todo.DESCRIPTION || '').trim(),
+                listId: todo['X-TODOAPP-LIST'] ? collector.idFor(unescapeIcsText(todo['X-TODOAPP-LIST'])) : undefined
+            };
+        }),
+        ...(collector.lists.length ? { lists: collector.lists } : {})
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { serializeTasks, parseTasks, detectImportFormat, EXPORT_FORMATS };
+}
@@ -0,0 +1,282 @@
+/**
+ * Reference Sync Server
+ * A small server for the sync protocol described in sync.js, keeping its
+ * data in one JSON file. It has no dependencies beyond Node itself:
+ *
+ *   node server/sync-server.js
+ *
+ * then set the app's sync endpoint to http://localhost:8787/sync.
+ *
+ *   PORT             Port to listen on (default 8787)
+ *   SYNC_DATA_FILE   Where to keep the data (default server/sync-data.json)
+ *
+ * Every accepted change bumps a revision number, and every stored task and
+ * delete remembers the revision it changed at, so GET ?since=<rev> can
+ * answer with just what changed. Conflicts are resolved per task with the
+ * same rules the app uses between tabs.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.SYNC_DATA_FILE || path.join(__dirname, 'sync-data.json');
+const SYNC_PATH = '/sync';
+
+// Largest request body accepted, in bytes
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Create the state of a server that has never received a change
+ */
+function createState() {
+    return { revision: 0, taskIdCounter: 0, lists: null, tasks: {}, deletes: {} };
+}
+
+/**
+ * Read the data file, starting empty when it does not exist yet
+ */
+function loadState(file) {
+    try {
+        return { ...createState(), ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+    } catch (error) {
+        if (error.code === 'ENOENT') return createState();
+        throw error;
+    }
+}
+
+/**
+ * Write the data file through a temporary file, so a crash mid-write
+ * never leaves half a file behind
+ */
+function saveState(file, state) {
+    const tempFile = `${file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(state));
+    fs.renameSync(tempFile, file);
+}
+
+/**
+ * Compare ISO timestamps, treating a missing stamp as oldest
+ */
+function isNewer(stamp, than) {
+    return (stamp ? Date.parse(stamp) : 0) > (than ? Date.parse(than) : 0);
+}
+
+/**
+ * Order two tasks that share an id: negative if a was created first
+ */
+function compareTaskAge(a, b) {
+    return Date.parse(a.createdAt) - Date.parse(b.createdAt) || a.text.localeCompare(b.text);
+}
+
+/**
+ * Check that a pushed task has the minimum required shape
+ */
+function isValidTask(task) {
+    return Boolean(task) && typeof task.text === 'string' && Number.isInteger(task.id);
+}
+
+/**
+ * Check the shape of a pushed change message. Returns an error message,
+ * or null when the message can be applied.
+ */
+function findMessageError(message) {
+    if (!message || typeof message !== 'object') {
+        return 'Expected a change message.';
+    }
+
+    const { lists, deletes = [], upserts = [] } = message;
+    if (lists !== undefined && lists !== null) {
+        if (typeof lists !== 'object' || (lists.items !== undefined && !Array.isArray(lists.items))) {
+            return 'lists must be an object with an items array.';
+        }
+        if ((lists.items || []).some(list => !list || !Number.isInteger(list.id) || typeof list.name !== 'string')) {
+            return 'Every list needs an integer id and a name.';
+        }
+    }
+    if (!Array.isArray(deletes) || deletes.some(entry => !entry || !Number.isInteger(entry.id) ||
+        (entry.deletedAt !== undefined && entry.deletedAt !== null && typeof entry.deletedAt !== 'string'))) {
+        return 'deletes must be an array of { id, deletedAt } entries.';
+    }
+    if (!Array.isArray(upserts) || upserts.some(entry => !entry || typeof entry !== 'object')) {
+        return 'upserts must be an array of { task, index } entries.';
+    }
+    return null;
+}
+
+/**
+ * Merge a pushed change message into the state. Returns true if anything
+ * changed, in which case the state's revision was bumped. The whole
+ * message is checked before anything is applied, so a malformed one
+ * throws an error with status 400 and leaves the state as it was.
+ */
+function applyChanges(state, message) {
+    const error = findMessageError(message);
+    if (error) {
+        throw Object.assign(new Error(error), { status: 400 });
+    }
+
+    const revision = state.revision + 1;
+    let changed = false;
+
+    state.taskIdCounter = Math.max(state.taskIdCounter, Number(message.taskIdCounter) || 0);
+
+    // Lists are small, so the newer set replaces the stored one whole
+    const lists = message.lists;
+    if (lists && Array.isArray(lists.items)) {
+        const listIdCounter = Math.max(Number(lists.listIdCounter) || 0, state.lists ? state.lists.listIdCounter : 0);
+        if (!state.lists || isNewer(lists.updatedAt, state.lists.updatedAt)) {
+            state.lists = { items: lists.items, updatedAt: lists.updatedAt || null, listIdCounter, revision };
+            changed = true;
+        } else {
+            state.lists.listIdCounter = listIdCounter;
+        }
+    }
+
+    (Array.isArray(message.deletes) ? message.deletes : []).forEach(({ id, deletedAt }) => {
+        const stored = state.tasks[id];
+        const tombstone = state.deletes[id];
+        if (stored && isNewer(stored.task.updatedAt, deletedAt)) return;
+        if (!stored && tombstone && !isNewer(deletedAt, tombstone.deletedAt)) return;
+
+        delete state.tasks[id];
+        state.deletes[id] = { id, deletedAt, revision };
+        changed = true;
+    });
+
+    (Array.isArray(message.upserts) ? message.upserts : []).forEach(({ task, index }) => {
+        if (!isValidTask(task)) return;
+
+        const stored = state.tasks[task.id];
+        const tombstone = state.deletes[task.id];
+        if (!stored && tombstone && !isNewer(task.updatedAt, tombstone.deletedAt)) return;
+
+        if (stored) {
+            // Two devices created different tasks with this id: the older
+            // one keeps it, and the device holding the newer one moves it
+            // to a new id after its next pull
+            const sameTask = !stored.task.createdAt || !task.createdAt || stored.task.createdAt === task.createdAt;
+            if (sameTask ? !isNewer(task.updatedAt, stored.task.updatedAt) : compareTaskAge(stored.task, task) <= 0) {
+                return;
+            }
+        }
+
+        state.tasks[task.id] = { task, index: Number(index) || 0, revision };
+        delete state.deletes[task.id];
+        state.taskIdCounter = Math.max(state.taskIdCounter, task.id);
+        changed = true;
+    });
+
+    if (changed) {
+        state.revision = revision;
+    }
+    return changed;
+}
+
+/**
+ * Build the change message for everything after a revision
+ */
+function getChangesSince(state, since) {
+    const upserts = Object.values(state.tasks)
+        .filter(entry => entry.revision > since)
+        .sort((a, b) => a.index - b.index)
+        .map(({ task, index }) => ({ task, index }));
+    const deletes = Object.values(state.deletes)
+        .filter(entry => entry.revision > since)
+        .map(({ id, deletedAt }) => ({ id, deletedAt }));
+    const lists = state.lists && state.lists.revision > since
+        ? { items: state.lists.items, listIdCounter: state.lists.listIdCounter, updatedAt: state.lists.updatedAt }
+        : null;
+
+    return { revision: state.revision, taskIdCounter: state.taskIdCounter, lists, upserts, deletes };
+}
+
+/**
+ * Read a JSON request body
+ */
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body is too large.'), { status: 413 }));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(Object.assign(new Error('Request body is not valid JSON.'), { status: 400 }));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Send a JSON response. The app may be served from another origin, so
+ * every response allows cross-origin requests.
+ */
+function sendJson(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Create the HTTP server for a data file
+ */
+function createSyncServer({ dataFile = DATA_FILE } = {}) {
+    const state = loadState(dataFile);
+
+    return http.createServer(async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+
+        if (url.pathname !== SYNC_PATH) {
+            sendJson(response, 404, { error: 'Not found.' });
+            return;
+        }
+
+        try {
+            if (request.method === 'OPTIONS') {
+                sendJson(response, 204);
+            } else if (request.method === 'GET') {
+                const since = Number(url.searchParams.get('since')) || 0;
+                sendJson(response, 200, getChangesSince(state, since));
+            } else if (request.method === 'POST') {
+                const message = await readBody(request);
+                if (applyChanges(state, message)) {
+                    saveState(dataFile, state);
+                }
+                sendJson(response, 200, { revision: state.revision });
+            } else {
+                sendJson(response, 405, { error: 'Method not allowed.' });
+            }
+        } catch (error) {
+            if (!error.status) {
+                console.error('Request failed:', error);
+            }
+            sendJson(response, error.status || 500, { error: error.status ? error.message : 'Server error.' });
+        }
+    });
+}
+
+if (require.main === module) {
+    createSyncServer().listen(PORT, () => {
+        console.log(`Sync server listening on http://localhost:${PORT}${SYNC_PATH}`);
+        console.log(`Data file: ${DATA_FILE}`);
+    });
+}
+
+module.exports = { createSyncServer, applyChanges, getChangesSince };
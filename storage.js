@@ -0,0 +1,342 @@
+/**
+ * Storage Adapters
+ * Persistence backends for the To-Do app. Every adapter exposes the same
+ * promise-based interface so TodoStore does not care where data lives:
+ *
+ *   open()                 Prepare the backend (create databases, migrate)
+ *   loadData()             Resolve to the saved payload or null
+ *   saveData(data)         Persist { version, tasks, taskIdCounter, ... }
+ *   quarantine(rawData)    Move unreadable data aside, resolve to its key
+ *   getItem(key)           Read a small string setting (theme, history...)
+ *   setItem(key, value)    Write a small string setting
+ *   removeItem(key)        Delete a setting
+ */
+
+/**
+ * Error thrown by loadData() when saved data exists but cannot be parsed.
+ * rawData holds the original text so it can be quarantined.
+ */
+class StorageReadError extends Error {
+    constructor(message, rawData) {
+        super(message);
+        this.name = 'StorageReadError';
+        this.rawData = rawData;
+    }
+}
+
+/**
+ * Parse a JSON payload, wrapping failures in a StorageReadError
+ */
+function parseStoredData(rawData) {
+    try {
+        return JSON.parse(rawData);
+    } catch (error) {
+        throw new StorageReadError(error.message, rawData);
+    }
+}
+
+/**
+ * Stores the whole task list as one JSON string in localStorage
+ */
+class LocalStorageAdapter {
+    constructor({ key = 'todoApp', storage = window.localStorage } = {}) {
+        this.key = key;
+        this.storage = storage;
+    }
+
+    async open() {}
+
+    async loadData() {
+        const rawData = this.storage.getItem(this.key);
+        return rawData ? parseStoredData(rawData) : null;
+    }
+
+    async saveData(data) {
+        this.storage.setItem(this.key, JSON.stringify(data));
+    }
+
+    async quarantine(rawData) {
+        const backupKey = `${this.key}-quarantine-${Date.now()}`;
+        this.storage.setItem(backupKey, rawData);
+        this.storage.removeItem(this.key);
+        return backupKey;
+    }
+
+    async getItem(key) {
+        return this.storage.getItem(key);
+    }
+
+    async setItem(key, value) {
+        this.storage.setItem(key, value);
+    }
+
+    async removeItem(key) {
+        this.storage.removeItem(key);
+    }
+}
+
+/**
+ * Keeps everything in memory. Useful for tests and private browsing.
+ */
+class MemoryStorageAdapter {
+    constructor(initialData = null, { key = 'todoApp' } = {}) {
+        this.key = key;
+        this.data = initialData ? JSON.stringify(initialData) : null;
+        this.items = new Map();
+    }
+
+    async open() {}
+
+    async loadData() {
+        return this.data ? parseStoredData(this.data) : null;
+    }
+
+    async saveData(data) {
+        this.data = JSON.stringify(data);
+    }
+
+    async quarantine(rawData) {
+        const backupKey = `${this.key}-quarantine-${Date.now()}`;
+        this.items.set(backupKey, rawData);
+        this.data = null;
+        return backupKey;
+    }
+
+    async getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    async setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    async removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+/**
+ * Stores each task as its own IndexedDB record so a save only writes the
+ * tasks that changed. On first open, data found under the legacy
+ * localStorage keys is moved into the database once.
+ */
+class IndexedDBStorageAdapter {
+    constructor({
+        dbName = 'todoApp',
+        legacyKey = 'todoApp',
+        legacySettingKeys = [],
+        indexedDB = window.indexedDB,
+        localStorage = window.localStorage
+    } = {}) {
+        this.dbName = dbName;
+        this.legacyKey = legacyKey;
+        this.legacySettingKeys = legacySettingKeys;
+        this.indexedDB = indexedDB;
+        this.localStorage = localStorage;
+        this.db = null;
+
+        // JSON of every record as last written, used to skip unchanged tasks
+        this.written = new Map();
+
+        // Writes run one after another so they never interleave
+        this.queue = Promise.resolve();
+
+        // Legacy payload that could not be parsed during migration
+        this.legacyRawData = null;
+    }
+
+    async open() {
+        if (this.db) return;
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = this.indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('tasks', { keyPath: 'id' });
+                db.createObjectStore('settings');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab.'));
+        });
+
+        await this.migrateFromLocalStorage();
+    }
+
+    /**
+     * One-time move of the localStorage task list and settings into IndexedDB
+     */
+    async migrateFromLocalStorage() {
+        if (!this.localStorage || await this.getItem('legacyMigrated')) return;
+
+        const rawData = this.localStorage.getItem(this.legacyKey);
+        if (rawData) {
+            let data;
+            try {
+                data = JSON.parse(rawData);
+            } catch (error) {
+                // Leave it for loadData() to report so it gets quarantined
+                this.legacyRawData = rawData;
+                return;
+            }
+
+            const { tasks, ...meta } = Array.isArray(data) ? { tasks: data } : data;
+            await this.writeAll(Array.isArray(tasks) ? tasks : [], meta);
+        }
+
+        for (const key of this.legacySettingKeys) {
+            const value = this.localStorage.getItem(key);
+            if (value !== null && await this.getItem(key) === null) {
+                await this.setItem(key, value);
+            }
+        }
+
+        await this.setItem('legacyMigrated', new Date().toISOString());
+        this.localStorage.removeItem(this.legacyKey);
+        this.legacySettingKeys.forEach(key => this.localStorage.removeItem(key));
+    }
+
+    async loadData() {
+        if (this.legacyRawData) {
+            throw new StorageReadError('Legacy data could not be parsed.', this.legacyRawData);
+        }
+
+        const [records, meta] = await Promise.all([
+            this.request('tasks', 'readonly', store => store.getAll()),
+            this.request('settings', 'readonly', store => store.get('taskMeta'))
+        ]);
+
+        if (!meta && records.length === 0) return null;
+
+        this.written.clear();
+        records.forEach(record => this.written.set(record.id, JSON.stringify(record)));
+
+        return {
+            ...meta,
+            tasks: records
+                .sort((a, b) => a.position - b.position)
+                .map(record => record.task)
+        };
+    }
+
+    saveData(data) {
+        // Serialize now so later changes to the task objects are not saved
+        const { tasks, ...meta } = data;
+        const records = tasks.map((task, position) => ({ id: task.id, position, task }));
+        const snapshot = JSON.parse(JSON.stringify({ records, meta }));
+
+        return this.enqueue(() => this.writeRecords(snapshot.records, snapshot.meta));
+    }
+
+    async quarantine(rawData) {
+        const backupKey = `${this.dbName}-quarantine-${Date.now()}`;
+        await this.setItem(backupKey, rawData);
+
+        if (this.legacyRawData) {
+            this.legacyRawData = null;
+            this.localStorage.removeItem(this.legacyKey);
+            await this.setItem('legacyMigrated', new Date().toISOString());
+        } else {
+            await this.writeAll([], null);
+        }
+
+        return backupKey;
+    }
+
+    async getItem(key) {
+        const value = await this.request('settings', 'readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    setItem(key, value) {
+        return this.request('settings', 'readwrite', store => store.put(String(value), key));
+    }
+
+    removeItem(key) {
+        return this.request('settings', 'readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Replace every stored task and the list metadata
+     */
+    writeAll(tasks, meta) {
+        this.written.clear();
+        return this.enqueue(() => this.writeRecords(
+            tasks
+                .filter(task => task && task.id !== undefined)
+                .map((task, position) => ({ id: task.id, position, task })),
+            meta
+        ));
+    }
+
+    /**
+     * Put changed records, delete missing ones and update metadata in one transaction
+     */
+    writeRecords(records, meta) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['tasks', 'settings'], 'readwrite');
+            const taskStore = transaction.objectStore('tasks');
+            const settingsStore = transaction.objectStore('settings');
+            const nextWritten = new Map();
+
+            records.forEach(record => {
+                const json = JSON.stringify(record);
+                nextWritten.set(record.id, json);
+                if (this.written.get(record.id) !== json) {
+                    taskStore.put(record);
+                }
+            });
+
+            this.written.forEach((json, id) => {
+                if (!nextWritten.has(id)) {
+                    taskStore.delete(id);
+                }
+            });
+
+            if (meta) {
+                settingsStore.put(meta, 'taskMeta');
+            } else {
+                taskStore.clear();
+                settingsStore.delete('taskMeta');
+            }
+
+            transaction.oncomplete = () => {
+                this.written = nextWritten;
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Run a single request against one object store
+     */
+    request(storeName, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Chain a write behind any that are still running
+     */
+    enqueue(write) {
+        const result = this.queue.then(write);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        StorageReadError,
+        LocalStorageAdapter,
+        MemoryStorageAdapter,
+        IndexedDBStorageAdapter
+    };
+}
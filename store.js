@@ -0,0 +1,889 @@
+/**
+ * Task Store
+ * The task list without a user interface: tasks, lists, the rules they
+ * follow and how they are saved. TodoApp renders a TodoStore and scripts
+ * can drive one directly (window.todoApp.store in the page):
+ *
+ *   add(fields)                   Create a task, returns it
+ *   update(id, changes)           Change some fields, returns true if any changed
+ *   toggle(id, completed)         Complete or reopen, returns { task, nextTask }
+ *   trash(id)                     Move a task to the trash, returns it
+ *   restoreFromTrash(id)          Take a task out of the trash, returns it
+ *   remove(id)                    Delete a task for good, returns it
+ *   query({ listId, status, tag, search, sort })
+ *   subscribe([type,] listener)   Listen for events, returns an unsubscribe function
+ *
+ * Invalid fields throw a TaskValidationError whose code says what is wrong.
+ * Every change fires one event per changed task (task:added, task:updated,
+ * task:completed, task:uncompleted, task:trashed, task:restored,
+ * task:removed) and then a single "change" event describing them all.
+ * Events carry copies of the tasks.
+ *
+ * Trashed tasks keep their place in the list with a trashedAt stamp, so
+ * restoring puts them back where they were. Only query({ status: 'trash' })
+ * and getTrashedTasks() return them.
+ *
+ * Nothing here touches the DOM, so the store can be tested under Node.
+ */
+
+// What the store uses from the scripts the page includes before this one.
+// In the page they are globals; under Node they are required, so nothing
+// is added to the global object.
+const storeImports = typeof module !== 'undefined' && module.exports
+    ? (() => {
+        const { StorageReadError, MemoryStorageAdapter } = require('./storage.js');
+        const { isValidRecurrence, getNextFutureOccurrence } = require('./recurrence.js');
+        const { NOTES_MAX_LENGTH } = require('./markdown.js');
+        return { StorageReadError, MemoryStorageAdapter, isValidRecurrence, getNextFutureOccurrence, NOTES_MAX_LENGTH };
+    })()
+    : { StorageReadError, MemoryStorageAdapter, isValidRecurrence, getNextFutureOccurrence, NOTES_MAX_LENGTH };
+
+// Version of the persisted/exported data format. Bump it and add a
+// migration below whenever the shape of saved tasks changes.
+const SCHEMA_VERSION = 7;
+
+// Migrations keyed by the version they upgrade from. Each one receives
+// the payload at that version and returns it at the next version.
+const STORAGE_MIGRATIONS = {
+    // v1: unversioned payload (or bare task array) from before versioning.
+    // Repair ids instead of discarding tasks and fill in missing fields.
+    1: (data) => {
+        const tasks = Array.isArray(data) ? data : (data.tasks || []);
+        let maxId = tasks.reduce((max, task) => {
+            const id = task ? Number(task.id) : NaN;
+            return Number.isInteger(id) ? Math.max(max, id) : max;
+        }, 0);
+
+        return {
+            ...(Array.isArray(data) ? {} : data),
+            version: 2,
+            tasks: tasks.map(task => {
+                if (!task || typeof task !== 'object') return task;
+                const id = Number(task.id);
+                return {
+                    ...task,
+                    id: Number.isInteger(id) && task.id !== null && task.id !== '' ? id : ++maxId,
+                    completed: Boolean(task.completed),
+                    createdAt: task.createdAt || null,
+                    completedAt: task.completedAt || null,
+                    deadline: task.deadline || null
+                };
+            }),
+            taskIdCounter: Math.max(Number(data.taskIdCounter) || 0, maxId)
+        };
+    },
+
+    // v2 -> v3: tasks gained an optional recurrence rule
+    2: (data) => ({
+        ...data,
+        version: 3,
+        tasks: data.tasks.map(task => (task && typeof task === 'object')
+            ? { ...task, recurrence: storeImports.isValidRecurrence(task.recurrence) ? task.recurrence : null }
+            : task)
+    }),
+
+    // v3 -> v4: tasks gained a subtasks checklist
+    3: (data) => ({
+        ...data,
+        version: 4,
+        tasks: data.tasks.map(task => (task && typeof task === 'object')
+            ? { ...task, subtasks: Array.isArray(task.subtasks) ? task.subtasks : [] }
+            : task)
+    }),
+
+    // v4 -> v5: tasks gained a priority level
+    4: (data) => ({
+        ...data,
+        version: 5,
+        tasks: data.tasks.map(task => (task && typeof task === 'object')
+            ? { ...task, priority: PRIORITY_LEVELS.includes(task.priority) ? task.priority : 'none' }
+            : task)
+    }),
+
+    // v5 -> v6: tasks gained free-form tags
+    5: (data) => ({
+        ...data,
+        version: 6,
+        tasks: data.tasks.map(task => (task && typeof task === 'object')
+            ? { ...task, tags: Array.isArray(task.tags) ? task.tags.filter(tag => typeof tag === 'string') : [] }
+            : task)
+    }),
+
+    // v6 -> v7: tasks belong to named lists; existing tasks go to the first one
+    6: (data) => ({
+        ...data,
+        version: 7,
+        lists: [{ id: 1, name: DEFAULT_LIST_NAME }],
+        listIdCounter: 1,
+        tasks: data.tasks.map(task => (task && typeof task === 'object')
+            ? { ...task, listId: 1 }
+            : task)
+    })
+};
+
+// Name of the list created for tasks saved before lists existed
+const DEFAULT_LIST_NAME = 'My Tasks';
+
+// Priority levels from lowest to highest
+const PRIORITY_LEVELS = ['none', 'low', 'medium', 'high', 'urgent'];
+
+// Longest allowed task and subtask text
+const TASK_TEXT_MAX_LENGTH = 100;
+const SUBTASK_TEXT_MAX_LENGTH = 100;
+
+// Combining marks left behind when accented letters are decomposed (é -> e + ´)
+const DIACRITICS_PATTERN = /[\u0300-\u036f]/g;
+
+/**
+ * Error thrown when task fields break a rule. code is one of empty-text,
+ * text-too-long, invalid-deadline, invalid-recurrence, invalid-priority,
+ * unknown-list, notes-too-long, invalid-subtasks, empty-subtask,
+ * subtask-too-long or duplicate; field names the bad field.
+ */
+class TaskValidationError extends Error {
+    constructor(message, { code, field }) {
+        super(message);
+        this.name = 'TaskValidationError';
+        this.code = code;
+        this.field = field;
+    }
+}
+
+/**
+ * Lowercase a tag and strip a leading "#"; returns '' if it is not valid
+ */
+function normalizeTag(tag) {
+    const normalized = String(tag).trim().replace(/^#/, '').toLowerCase();
+    return /^[\p{L}\p{N}_-]{1,30}$/u.test(normalized) ? normalized : '';
+}
+
+/**
+ * Get the id shared by every occurrence of a recurring task
+ */
+function getSeriesId(task) {
+    if (task.seriesId) return task.seriesId;
+    return task.recurrence ? task.id : null;
+}
+
+/**
+ * Format a Date the way the datetime-local deadline input does
+ */
+function toDeadlineValue(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Lowercase text and strip accents so "Café" matches "cafe"
+ */
+function normalizeSearchText(text) {
+    return text.normalize('NFD').replace(DIACRITICS_PATTERN, '').toLowerCase();
+}
+
+/**
+ * Split a query into words and "quoted phrases" to find, and -words or
+ * -"phrases" to exclude. Terms are folded with normalizeSearchText().
+ */
+function parseSearchQuery(query) {
+    const terms = { include: [], exclude: [] };
+    const tokenPattern = /(-?)(?:"([^"]*)"?|(\S+))/g;
+    let match;
+
+    while ((match = tokenPattern.exec(query)) !== null) {
+        const [, minus, phrase, word] = match;
+        const term = normalizeSearchText(phrase !== undefined ? phrase : word).trim();
+        if (!term) continue;
+        (minus ? terms.exclude : terms.include).push(term);
+    }
+
+    return terms;
+}
+
+/**
+ * Check a task against parsed search terms. Text, tags, subtasks and
+ * notes are searched.
+ */
+function matchesSearch(task, { include, exclude }) {
+    if (include.length === 0 && exclude.length === 0) return true;
+
+    const haystack = normalizeSearchText([
+        task.text,
+        ...(task.tags || []).map(tag => `#${tag}`),
+        ...(task.subtasks || []).map(subtask => subtask.text),
+        task.notes || ''
+    ].join('\n'));
+
+    return include.every(term => haystack.includes(term)) &&
+        !exclude.some(term => haystack.includes(term));
+}
+
+/**
+ * Order tasks by a sort mode (manual, priority, deadline, created or
+ * alphabetical). The sort is stable, so ties keep their manual order.
+ */
+function sortTasks(tasks, mode) {
+    const deadlineTime = (task) => task.deadline ? new Date(task.deadline).getTime() : Infinity;
+    const priorityRank = (task) => PRIORITY_LEVELS.indexOf(task.priority || 'none');
+
+    switch (mode) {
+        case 'priority':
+            return [...tasks].sort((a, b) => priorityRank(b) - priorityRank(a));
+        case 'deadline':
+            return [...tasks].sort((a, b) => {
+                const diff = deadlineTime(a) - deadlineTime(b);
+                return Number.isNaN(diff) ? 0 : diff;
+            });
+        case 'created':
+            return [...tasks].sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+        case 'alphabetical':
+            return [...tasks].sort((a, b) => a.text.localeCompare(b.text, undefined, { sensitivity: 'base' }));
+        default:
+            return tasks;
+    }
+}
+
+class TodoStore {
+    constructor({ storage = new storeImports.MemoryStorageAdapter() } = {}) {
+        // Storage backend (see storage.js)
+        this.storage = storage;
+
+        this.tasks = [];
+        this.taskIdCounter = 0;
+
+        // Named lists in display order
+        this.lists = [{ id: 1, name: DEFAULT_LIST_NAME }];
+        this.listIdCounter = 1;
+        this.listsUpdatedAt = null;
+
+        // Event listeners by type ('*' receives every event), and how
+        // deep the current batch() is nested
+        this.listeners = new Map();
+        this.batchDepth = 0;
+    }
+
+    /**
+     * Listen for events of one type, or for every event when only a
+     * listener is given. Returns a function that stops listening.
+     */
+    subscribe(type, listener) {
+        if (typeof type === 'function') {
+            return this.subscribe('*', type);
+        }
+
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+        return () => this.listeners.get(type).delete(listener);
+    }
+
+    /**
+     * Call the listeners of an event. A failing listener is logged so it
+     * cannot break the change that fired the event.
+     */
+    emit(event) {
+        [...(this.listeners.get(event.type) || []), ...(this.listeners.get('*') || [])].forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error(`Listener for "${event.type}" failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Find a task by id
+     */
+    get(taskId) {
+        return this.tasks.find(task => task.id === taskId) || null;
+    }
+
+    /**
+     * Find a list by id
+     */
+    getList(listId) {
+        return this.lists.find(list => list.id === listId) || null;
+    }
+
+    /**
+     * Get the tasks of one list in list order, leaving out the trash
+     */
+    getListTasks(listId) {
+        return this.tasks.filter(task => task.listId === listId && !task.trashedAt);
+    }
+
+    /**
+     * Get the trashed tasks of one list, or of every list when listId is null
+     */
+    getTrashedTasks(listId = null) {
+        return this.tasks.filter(task => task.trashedAt && (listId === null || task.listId === listId));
+    }
+
+    /**
+     * Find a task whose text matches case-insensitively. Instances of the
+     * same recurring series, completed past occurrences and trashed tasks
+     * don't count.
+     */
+    findDuplicateTask(text, { excludeId = null, seriesId = null, tasks = this.tasks } = {}) {
+        const lowerText = text.toLowerCase();
+
+        return tasks.find(task =>
+            task.id !== excludeId &&
+            !task.trashedAt &&
+            task.text.toLowerCase() === lowerText &&
+            !(task.recurrence && task.completed) &&
+            !(seriesId !== null && getSeriesId(task) === seriesId)
+        );
+    }
+
+    /**
+     * Check task fields before they are saved, throwing a
+     * TaskValidationError for the first broken rule. Only the fields
+     * given are checked; duplicates are looked for when both text and
+     * listId are given. excludeId and seriesId keep a task from clashing
+     * with itself.
+     */
+    validate(fields, { excludeId = null, seriesId = null } = {}) {
+        const { text, deadline, recurrence, priority, listId, notes, subtasks } = fields;
+        const fail = (code, field, message) => {
+            throw new TaskValidationError(message, { code, field });
+        };
+
+        if (text !== undefined) {
+            if (typeof text !== 'string' || !text.trim()) {
+                fail('empty-text', 'text', 'Please enter a task description.');
+            }
+            if (text.length > TASK_TEXT_MAX_LENGTH) {
+                fail('text-too-long', 'text', `Task description must be ${TASK_TEXT_MAX_LENGTH} characters or less.`);
+            }
+        }
+
+        if (deadline && (typeof deadline !== 'string' ||
+            !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(deadline) || isNaN(Date.parse(deadline)))) {
+            fail('invalid-deadline', 'deadline', 'Please enter a valid deadline.');
+        }
+
+        if (recurrence && !storeImports.isValidRecurrence(recurrence)) {
+            fail('invalid-recurrence', 'recurrence', 'Please choose at least one day for a weekly repeat.');
+        }
+
+        if (priority !== undefined && !PRIORITY_LEVELS.includes(priority)) {
+            fail('invalid-priority', 'priority', 'Please choose a valid priority.');
+        }
+
+        if (listId !== undefined && !this.getList(listId)) {
+            fail('unknown-list', 'listId', 'That list no longer exists.');
+        }
+
+        if (notes !== undefined && (typeof notes !== 'string' || notes.length > storeImports.NOTES_MAX_LENGTH)) {
+            fail('notes-too-long', 'notes', `Notes must be ${storeImports.NOTES_MAX_LENGTH} characters or less.`);
+        }
+
+        if (subtasks !== undefined) {
+            if (!Array.isArray(subtasks) || subtasks.some(subtask =>
+                !subtask || !Number.isInteger(subtask.id) || typeof subtask.text !== 'string')) {
+                fail('invalid-subtasks', 'subtasks', 'Every subtask needs an id and a description.');
+            }
+            if (subtasks.some(subtask => !subtask.text.trim())) {
+                fail('empty-subtask', 'subtasks', 'Please enter a subtask description.');
+            }
+            if (subtasks.some(subtask => subtask.text.length > SUBTASK_TEXT_MAX_LENGTH)) {
+                fail('subtask-too-long', 'subtasks', `Subtask description must be ${SUBTASK_TEXT_MAX_LENGTH} characters or less.`);
+            }
+        }
+
+        if (text !== undefined && listId !== undefined &&
+            this.findDuplicateTask(text, { excludeId, seriesId, tasks: this.getListTasks(listId) })) {
+            fail('duplicate', 'text', 'This task already exists in this list.');
+        }
+    }
+
+    /**
+     * Validate and add a task to the end of its list (the first list by
+     * default). Returns the new task.
+     */
+    add({
+        text,
+        deadline = null,
+        recurrence = null,
+        priority = 'none',
+        tags = [],
+        notes = '',
+        listId = this.lists[0].id
+    }) {
+        const fields = { text: typeof text === 'string' ? text.trim() : text, deadline, recurrence, priority, listId, notes };
+        this.validate(fields);
+
+        const task = {
+            id: ++this.taskIdCounter,
+            text: fields.text,
+            completed: false,
+            createdAt: new Date().toISOString(),
+            completedAt: null,
+            deadline: deadline || null,
+            recurrence: recurrence || null,
+            subtasks: [],
+            priority,
+            tags: [...new Set(tags.map(normalizeTag).filter(Boolean))],
+            notes,
+            listId
+        };
+
+        this.batch(() => {
+            this.tasks.push(task);
+        });
+        return task;
+    }
+
+    /**
+     * Validate and apply changed fields to a task. Returns false if the
+     * task does not exist or nothing changed.
+     */
+    update(taskId, changes) {
+        const task = this.get(taskId);
+        if (!task) return false;
+
+        const changedKeys = Object.keys(changes)
+            .filter(key => key !== 'id' && JSON.stringify(task[key]) !== JSON.stringify(changes[key]));
+        if (changedKeys.length === 0) return false;
+
+        // Fields that did not change are not re-checked, so older tasks
+        // that predate a rule can still be edited
+        const fields = {};
+        changedKeys.forEach(key => {
+            fields[key] = changes[key];
+        });
+        if (changedKeys.includes('text') || changedKeys.includes('listId')) {
+            fields.text = changes.text !== undefined ? changes.text : task.text;
+            fields.listId = changes.listId !== undefined ? changes.listId : task.listId;
+        }
+        this.validate(fields, { excludeId: taskId, seriesId: getSeriesId(task) });
+
+        this.batch(() => {
+            changedKeys.forEach(key => {
+                task[key] = changes[key];
+            });
+        });
+        return true;
+    }
+
+    /**
+     * Complete or reopen a task (flip it when completed is not given).
+     * Completing a recurring task creates its next occurrence. Returns
+     * { task, nextTask }, or null if the task does not exist.
+     */
+    toggle(taskId, completed) {
+        const task = this.get(taskId);
+        if (!task) return null;
+
+        const done = completed === undefined ? !task.completed : Boolean(completed);
+        let nextTask = null;
+        if (done !== task.completed) {
+            this.batch(() => {
+                task.completed = done;
+                task.completedAt = done ? new Date().toISOString() : null;
+                if (done) {
+                    nextTask = this.createNextOccurrence(task);
+                }
+            });
+        }
+        return { task, nextTask };
+    }
+
+    /**
+     * Move a task to the trash. Returns the task, or null if it does not
+     * exist.
+     */
+    trash(taskId) {
+        const task = this.get(taskId);
+        if (!task) return null;
+
+        if (!task.trashedAt) {
+            this.batch(() => {
+                task.trashedAt = new Date().toISOString();
+            });
+        }
+        return task;
+    }
+
+    /**
+     * Take a task out of the trash, back to its old place. Throws a
+     * TaskValidationError if an active task with the same text was added
+     * to its list meanwhile. Returns the task, or null if it does not exist.
+     */
+    restoreFromTrash(taskId) {
+        const task = this.get(taskId);
+        if (!task) return null;
+
+        if (task.trashedAt) {
+            this.validate({ text: task.text, listId: task.listId }, { excludeId: taskId, seriesId: getSeriesId(task) });
+            this.batch(() => {
+                delete task.trashedAt;
+            });
+        }
+        return task;
+    }
+
+    /**
+     * Delete trashed tasks for good: those trashed before a Date, or all
+     * of them. Returns the deleted tasks.
+     */
+    purgeTrash(before = null) {
+        const expired = this.tasks.filter(task => task.trashedAt && (!before || Date.parse(task.trashedAt) < before.getTime()));
+        if (expired.length > 0) {
+            this.batch(() => {
+                this.tasks = this.tasks.filter(task => !expired.includes(task));
+            });
+        }
+        return expired;
+    }
+
+    /**
+     * Delete a task for good, trashed or not. Returns the removed task,
+     * or null.
+     */
+    remove(taskId) {
+        const task = this.get(taskId);
+        if (!task) return null;
+
+        this.batch(() => {
+            this.tasks = this.tasks.filter(t => t.id !== taskId);
+        });
+        return task;
+    }
+
+    /**
+     * Create the next occurrence of a recurring task that was just completed.
+     * Returns the new task, or null if the task doesn't repeat or its next
+     * occurrence already exists (e.g. it was unchecked and checked again).
+     */
+    createNextOccurrence(task) {
+        if (!storeImports.isValidRecurrence(task.recurrence)) return null;
+        if (task.nextOccurrenceId && this.tasks.some(t => t.id === task.nextOccurrenceId)) return null;
+
+        // Without a deadline, roll forward from 9:00 today
+        const from = task.deadline ? new Date(task.deadline) : new Date();
+        if (!task.deadline) {
+            from.setHours(9, 0, 0, 0);
+        }
+
+        const nextTask = {
+            id: ++this.taskIdCounter,
+            text: task.text,
+            completed: false,
+            createdAt: new Date().toISOString(),
+            completedAt: null,
+            deadline: toDeadlineValue(storeImports.getNextFutureOccurrence(task.recurrence, from)),
+            recurrence: { ...task.recurrence },
+            seriesId: getSeriesId(task),
+            priority: task.priority,
+            tags: [...(task.tags || [])],
+            subtasks: (task.subtasks || []).map(subtask => ({ ...subtask, completed: false })),
+            notes: task.notes || '',
+            listId: task.listId
+        };
+
+        task.nextOccurrenceId = nextTask.id;
+        this.tasks.splice(this.tasks.indexOf(task) + 1, 0, nextTask);
+        return nextTask;
+    }
+
+    /**
+     * Check a task against query options: listId (null for every list),
+     * status ('all', 'active', 'completed' or 'trash'), tag, and search as
+     * a query string or terms from parseSearchQuery(). Trashed tasks only
+     * match the 'trash' status.
+     */
+    matches(task, { listId = null, status = 'all', tag = null, search = '' } = {}) {
+        if (listId !== null && task.listId !== listId) {
+            return false;
+        }
+
+        if (Boolean(task.trashedAt) !== (status === 'trash')) {
+            return false;
+        }
+
+        if (tag && !(task.tags || []).includes(tag)) {
+            return false;
+        }
+
+        if (!matchesSearch(task, typeof search === 'string' ? parseSearchQuery(search) : search)) {
+            return false;
+        }
+
+        switch (status) {
+            case 'active':
+                return !task.completed;
+            case 'completed':
+                return task.completed;
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Get the tasks matching the options of matches(), ordered by sort
+     */
+    query({ sort = 'manual', ...options } = {}) {
+        if (typeof options.search === 'string') {
+            options.search = parseSearchQuery(options.search);
+        }
+        return sortTasks(this.tasks.filter(task => this.matches(task, options)), sort);
+    }
+
+    /**
+     * Run a mutation of this.tasks and/or this.lists, then fire events for
+     * what changed. Changed tasks get a fresh updatedAt unless stamp is
+     * false (for changes that carry their own stamps, like undo and sync).
+     *
+     * Returns { changes, lists }: each change is { before, beforeIndex,
+     * after, afterIndex } with copies of the task on each side (null
+     * when added or removed), and lists is { before, after } or null when
+     * lists did not change. A batch inside another batch just runs its
+     * mutation and returns null; the outer one reports everything.
+     */
+    batch(mutate, { stamp = true } = {}) {
+        if (this.batchDepth > 0) {
+            mutate();
+            return null;
+        }
+
+        const before = this.snapshotTasks();
+        const listsBefore = JSON.stringify(this.lists);
+        this.batchDepth++;
+        try {
+            mutate();
+        } finally {
+            this.batchDepth--;
+        }
+        const listsAfter = JSON.stringify(this.lists);
+        if (stamp) {
+            this.stampUpdatedTasks(before);
+        }
+        const after = this.snapshotTasks();
+
+        // Tasks present on both sides count as moved only when their
+        // order relative to each other changed, not when an insert or
+        // delete elsewhere shifted their index
+        const beforeOrder = [...before.keys()].filter(id => after.has(id));
+        const afterOrder = [...after.keys()].filter(id => before.has(id));
+        const moved = new Set(afterOrder.filter((id, i) => beforeOrder[i] !== id));
+
+        const changes = [];
+        const ids = new Set([...before.keys(), ...after.keys()]);
+        ids.forEach(id => {
+            const prev = before.get(id);
+            const next = after.get(id);
+            if (prev && next && !moved.has(id) && prev.json === next.json) {
+                return;
+            }
+            changes.push({
+                before: prev ? JSON.parse(prev.json) : null,
+                beforeIndex: prev ? prev.index : -1,
+                after: next ? JSON.parse(next.json) : null,
+                afterIndex: next ? next.index : -1
+            });
+        });
+
+        let lists = null;
+        if (listsBefore !== listsAfter) {
+            lists = { before: JSON.parse(listsBefore), after: JSON.parse(listsAfter) };
+            if (stamp) {
+                this.listsUpdatedAt = new Date().toISOString();
+            }
+        }
+
+        if (changes.length > 0 || lists) {
+            changes.forEach(change => this.emit({
+                type: this.getChangeType(change),
+                task: change.after,
+                previous: change.before,
+                index: change.afterIndex,
+                previousIndex: change.beforeIndex
+            }));
+            this.emit({ type: 'change', changes, lists });
+        }
+
+        return { changes, lists };
+    }
+
+    /**
+     * Name the event for one change recorded by batch()
+     */
+    getChangeType({ before, after }) {
+        if (!before) return 'task:added';
+        if (!after) return 'task:removed';
+        if (Boolean(before.trashedAt) !== Boolean(after.trashedAt)) {
+            return after.trashedAt ? 'task:trashed' : 'task:restored';
+        }
+        if (before.completed !== after.completed) {
+            return after.completed ? 'task:completed' : 'task:uncompleted';
+        }
+        return 'task:updated';
+    }
+
+    /**
+     * Set updatedAt on every task that differs from a snapshot
+     */
+    stampUpdatedTasks(snapshot) {
+        const now = new Date().toISOString();
+        this.tasks.forEach(task => {
+            const prev = snapshot.get(task.id);
+            if (!prev || prev.json !== JSON.stringify(task)) {
+                task.updatedAt = now;
+            }
+        });
+    }
+
+    /**
+     * Serialize every task keyed by id, remembering its position
+     */
+    snapshotTasks() {
+        const snapshot = new Map();
+        this.tasks.forEach((task, index) => {
+            snapshot.set(task.id, { index, json: JSON.stringify(task) });
+        });
+        return snapshot;
+    }
+
+    /**
+     * Get the payload saved by save()
+     */
+    toJSON() {
+        return {
+            version: SCHEMA_VERSION,
+            tasks: this.tasks,
+            taskIdCounter: this.taskIdCounter,
+            lists: this.lists,
+            listIdCounter: this.listIdCounter,
+            listsUpdatedAt: this.listsUpdatedAt,
+            lastSaved: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Save tasks and lists through the storage backend
+     */
+    save() {
+        return this.storage.saveData(this.toJSON());
+    }
+
+    /**
+     * Load tasks and lists from the storage backend, writing upgraded
+     * data back so migrations only run once. Data that cannot be used
+     * rejects with a StorageReadError holding the raw data.
+     */
+    async load() {
+        const savedData = await this.storage.loadData();
+        if (!savedData) return;
+
+        try {
+            this.restore(savedData);
+        } catch (error) {
+            this.tasks = [];
+            this.taskIdCounter = 0;
+            throw new storeImports.StorageReadError(error.message, JSON.stringify(savedData));
+        }
+
+        if (this.getSchemaVersion(savedData) !== SCHEMA_VERSION) {
+            await this.save();
+        }
+    }
+
+    /**
+     * Replace tasks and lists with a saved payload of any schema version.
+     * Tasks whose list is missing go to the first list.
+     */
+    restore(savedData) {
+        const data = this.migrateData(savedData);
+
+        this.lists = this.sanitizeLists(data.lists);
+        this.listIdCounter = Math.max(Number(data.listIdCounter) || 0, ...this.lists.map(list => list.id));
+        this.listsUpdatedAt = data.listsUpdatedAt || null;
+        this.tasks = data.tasks
+            .filter(task => this.isValidTask(task))
+            .map(task => this.getList(task.listId) ? task : { ...task, listId: this.lists[0].id });
+        this.taskIdCounter = data.taskIdCounter || 0;
+    }
+
+    /**
+     * Upgrade a saved or exported payload to the current schema version
+     */
+    migrateData(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Data is not a task list.');
+        }
+
+        const version = this.getSchemaVersion(data);
+        if (version > SCHEMA_VERSION) {
+            throw new Error(`Data was saved by a newer version of the app (schema v${version}).`);
+        }
+
+        let migrated = data;
+        for (let from = version; from < SCHEMA_VERSION; from++) {
+            const migrate = STORAGE_MIGRATIONS[from];
+            if (!migrate) {
+                throw new Error(`No migration from schema v${from}.`);
+            }
+            migrated = migrate(migrated);
+        }
+
+        if (!Array.isArray(migrated.tasks)) {
+            throw new Error('Data does not contain a task list.');
+        }
+
+        return migrated;
+    }
+
+    /**
+     * Read the schema version of a payload. Unversioned data and the
+     * original '1.0' export format are both version 1.
+     */
+    getSchemaVersion(data) {
+        if (Array.isArray(data) || data.version === undefined) {
+            return 1;
+        }
+
+        const version = Math.floor(Number(data.version));
+        if (!Number.isFinite(version) || version < 1) {
+            throw new Error(`Unrecognized schema version: ${data.version}`);
+        }
+        return version;
+    }
+
+    /**
+     * Keep the well-formed entries of a saved list of lists, falling back
+     * to one default list
+     */
+    sanitizeLists(lists) {
+        const valid = Array.isArray(lists)
+            ? lists.filter(list => list && Number.isInteger(list.id) && typeof list.name === 'string' && list.name.trim())
+            : [];
+
+        return valid.length > 0
+            ? valid.map(list => ({ id: list.id, name: list.name.trim() }))
+            : [{ id: 1, name: DEFAULT_LIST_NAME }];
+    }
+
+    /**
+     * Check that a stored or imported task has the minimum required shape
+     */
+    isValidTask(task) {
+        return Boolean(task) && typeof task.text === 'string' && typeof task.id === 'number';
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TodoStore,
+        TaskValidationError,
+        SCHEMA_VERSION,
+        PRIORITY_LEVELS,
+        TASK_TEXT_MAX_LENGTH,
+        SUBTASK_TEXT_MAX_LENGTH,
+        normalizeTag,
+        parseSearchQuery,
+        sortTasks
+    };
+}
@@ -0,0 +1,76 @@
+/**
+ * Service Worker
+ * Precaches the app shell so the app starts and works offline.
+ *
+ * Bump CACHE_VERSION in the same commit as any change to a file in
+ * PRECACHE_URLS (the app has no build step to derive it from the files).
+ * The changed bytes make browsers install this worker as an update; it
+ * fills a new cache, waits until the page agrees to reload (see
+ * registerServiceWorker() in script.js), then deletes the caches of older
+ * versions. Without a bump, installed copies keep serving the old files.
+ */
+
+const CACHE_VERSION = 'v17';
+const CACHE_PREFIX = 'todoapp-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// Paths are relative to this file, so the app works from any folder
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './styles.css',
+    './storage.js',
+    './recurrence.js',
+    './quickadd.js',
+    './markdown.js',
+    './serializers.js',
+    './store.js',
+    './sync.js',
+    './script.js',
+    './manifest.webmanifest',
+    './icons/icon.svg',
+    './icons/icon-192.png',
+    './icons/icon-512.png',
+    './icons/icon-maskable-512.png',
+    './icons/apple-touch-icon.png'
+];
+
+self.addEventListener('install', (event) => {
+    // cache: 'reload' skips the HTTP cache so a new version never
+    // precaches stale copies of the files
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page sends this when the user accepts the update prompt
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    
+    // Page loads get the cached shell; everything else is served from the
+    // cache when precached and from the network otherwise
+    const cacheKey = request.mode === 'navigate' ? './index.html' : request;
+    event.respondWith(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.match(cacheKey))
+            .then(cached => cached || fetch(request))
+    );
+});
@@ -0,0 +1,344 @@
+/**
+ * Server Sync
+ * Keeps a TodoStore in step with a REST endpoint so one list can be shared
+ * across devices. Changes are sent in the same shape the app uses between
+ * tabs:
+ *
+ *   { taskIdCounter, lists: { items, listIdCounter, updatedAt },
+ *     upserts: [{ task, index }], deletes: [{ id, deletedAt }] }
+ *
+ * The endpoint answers two requests:
+ *
+ *   POST <endpoint>              Body is a change message; merges it and
+ *                                responds { revision }
+ *   GET  <endpoint>?since=<rev>  Responds with a change message holding
+ *                                everything changed after revision rev,
+ *                                plus the current { revision }
+ *
+ * Both sides resolve conflicts per task: the version with the newer
+ * updatedAt wins, a delete wins over edits made before it, and when two
+ * devices create different tasks with the same id the one created first
+ * keeps the id (the other device moves its task to a new id).
+ * server/sync-server.js is a reference implementation.
+ *
+ * Local changes wait in a queue, saved through the storage backend, until
+ * the server accepts them, so edits made offline are sent on reconnect.
+ */
+
+const SYNC_STATE_KEY = 'todoapp-sync-state';
+
+// How often to pull changes from the server, and how long to wait after a
+// local change before sending it (so quick edits go out together)
+const SYNC_POLL_MS = 30 * 1000;
+const SYNC_PUSH_DELAY_MS = 1000;
+
+/**
+ * Error thrown when a sync request fails. offline is true when the server
+ * could not be reached at all.
+ */
+class SyncError extends Error {
+    constructor(message, { offline = false } = {}) {
+        super(message);
+        this.name = 'SyncError';
+        this.offline = offline;
+    }
+}
+
+class SyncEngine {
+    /**
+     * applyChanges(message) merges a change message from the server into
+     * the store. onStatus({ status, pending, lastSyncedAt, error }) is
+     * called whenever the status changes; status is one of 'syncing',
+     * 'synced', 'offline' or 'error'.
+     */
+    constructor({
+        store,
+        endpoint,
+        applyChanges,
+        onStatus = () => {},
+        fetch = (...args) => globalThis.fetch(...args)
+    }) {
+        this.store = store;
+        this.endpoint = endpoint;
+        this.applyChanges = applyChanges;
+        this.onStatus = onStatus;
+        this.fetch = fetch;
+
+        // Last server revision pulled, and local changes not yet accepted,
+        // keyed by task id
+        this.revision = 0;
+        this.queue = this.createQueue();
+
+        this.status = 'syncing';
+        this.error = null;
+        this.lastSyncedAt = null;
+        this.running = null;
+        this.rerun = false;
+        this.timer = null;
+        this.stopped = false;
+    }
+
+    /**
+     * Restore the saved queue and revision, then sync. Switching to
+     * another endpoint starts over by sending every task.
+     */
+    async start() {
+        try {
+            const saved = JSON.parse(await this.store.storage.getItem(SYNC_STATE_KEY));
+            if (saved && saved.endpoint === this.endpoint) {
+                this.revision = Number(saved.revision) || 0;
+                this.queue = { ...this.createQueue(), ...saved.queue };
+                this.lastSyncedAt = saved.lastSyncedAt || null;
+            } else {
+                this.queueEverything();
+            }
+        } catch (error) {
+            console.error('Failed to load sync state:', error);
+            this.queueEverything();
+        }
+
+        return this.sync();
+    }
+
+    /**
+     * Stop syncing. Queued changes stay saved for the next start().
+     */
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+    }
+
+    /**
+     * Create an empty queue
+     */
+    createQueue() {
+        return { upserts: {}, deletes: {}, lists: null, taskIdCounter: 0 };
+    }
+
+    /**
+     * Queue every task and the lists, for a first sync with a server
+     */
+    queueEverything() {
+        this.queue = this.createQueue();
+        this.enqueue({
+            taskIdCounter: this.store.taskIdCounter,
+            lists: {
+                items: this.store.lists,
+                listIdCounter: this.store.listIdCounter,
+                updatedAt: this.store.listsUpdatedAt
+            },
+            upserts: this.store.tasks.map((task, index) => ({ task, index })),
+            deletes: []
+        }, { send: false });
+    }
+
+    /**
+     * Queue a local change message and send it shortly. Later changes to
+     * a task replace earlier ones still waiting.
+     */
+    enqueue(message, { send = true } = {}) {
+        // Copy so later in-place edits of the tasks are not sent early
+        const { upserts, deletes, lists, taskIdCounter } = JSON.parse(JSON.stringify(message));
+
+        deletes.forEach(entry => {
+            delete this.queue.upserts[entry.id];
+            this.queue.deletes[entry.id] = entry;
+        });
+        upserts.forEach(entry => {
+            delete this.queue.deletes[entry.task.id];
+            this.queue.upserts[entry.task.id] = entry;
+        });
+        if (lists) {
+            this.queue.lists = lists;
+        }
+        this.queue.taskIdCounter = Math.max(this.queue.taskIdCounter, taskIdCounter || 0);
+
+        this.saveState();
+        if (!send || this.stopped) return;
+        if (this.running) {
+            this.rerun = true;
+        } else {
+            this.schedule(SYNC_PUSH_DELAY_MS);
+        }
+    }
+
+    /**
+     * Count the queued task changes
+     */
+    countPending() {
+        return Object.keys(this.queue.upserts).length + Object.keys(this.queue.deletes).length;
+    }
+
+    /**
+     * Run sync() after a delay, replacing any sync already scheduled
+     */
+    schedule(delay) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.sync(), delay);
+    }
+
+    /**
+     * Send queued changes, then pull changes from the server. Calls made
+     * while a sync is running wait for it and then sync once more.
+     */
+    sync() {
+        if (this.stopped) return Promise.resolve();
+        if (this.running) {
+            this.rerun = true;
+            return this.running;
+        }
+
+        clearTimeout(this.timer);
+        this.running = this.run().finally(() => {
+            this.running = null;
+            if (this.stopped) return;
+            if (this.rerun) {
+                this.rerun = false;
+                this.sync();
+            } else {
+                this.schedule(SYNC_POLL_MS);
+            }
+        });
+        return this.running;
+    }
+
+    /**
+     * One push and pull, reporting the outcome through onStatus
+     */
+    async run() {
+        this.setStatus('syncing');
+        try {
+            await this.push();
+            await this.pull();
+            this.lastSyncedAt = new Date().toISOString();
+            this.saveState();
+            this.setStatus('synced');
+        } catch (error) {
+            console.error('Sync failed:', error);
+            this.setStatus(error instanceof SyncError && error.offline ? 'offline' : 'error', error);
+        }
+    }
+
+    /**
+     * Send the queued changes. Entries queued again while the request was
+     * in flight stay queued.
+     */
+    async push() {
+        const sent = { ...this.queue, upserts: { ...this.queue.upserts }, deletes: { ...this.queue.deletes } };
+        const upserts = Object.values(sent.upserts);
+        const deletes = Object.values(sent.deletes);
+        if (upserts.length === 0 && deletes.length === 0 && !sent.lists) return;
+
+        await this.request('POST', this.endpoint, {
+            taskIdCounter: sent.taskIdCounter,
+            lists: sent.lists,
+            upserts,
+            deletes
+        });
+
+        const remaining = this.createQueue();
+        Object.keys(this.queue.upserts).forEach(id => {
+            if (this.queue.upserts[id] !== sent.upserts[id]) remaining.upserts[id] = this.queue.upserts[id];
+        });
+        Object.keys(this.queue.deletes).forEach(id => {
+            if (this.queue.deletes[id] !== sent.deletes[id]) remaining.deletes[id] = this.queue.deletes[id];
+        });
+        remaining.lists = this.queue.lists !== sent.lists ? this.queue.lists : null;
+        this.queue = remaining;
+        this.saveState();
+    }
+
+    /**
+     * Fetch and merge what changed on the server since the last pull. A
+     * server whose revision went backwards was reset, so everything is
+     * sent to it again.
+     */
+    async pull() {
+        const separator = this.endpoint.includes('?') ? '&' : '?';
+        const message = await this.request('GET', `${this.endpoint}${separator}since=${this.revision}`);
+        const revision = Number(message && message.revision);
+        if (!Number.isInteger(revision) || !Array.isArray(message.upserts) || !Array.isArray(message.deletes)) {
+            throw new SyncError('The server sent an unexpected response.');
+        }
+
+        if (revision < this.revision) {
+            this.revision = 0;
+            this.queueEverything();
+            this.rerun = true;
+            return;
+        }
+
+        if (message.upserts.length > 0 || message.deletes.length > 0 || message.lists) {
+            this.applyChanges(message);
+        }
+        this.revision = revision;
+    }
+
+    /**
+     * Make a JSON request, resolving to the parsed response body
+     */
+    async request(method, url, body) {
+        let response;
+        try {
+            response = await this.fetch(url, {
+                method,
+                headers: body ? { 'Content-Type': 'application/json' } : {},
+                body: body ? JSON.stringify(body) : undefined
+            });
+        } catch (error) {
+            throw new SyncError(`Could not reach the sync server (${error.message}).`, { offline: true });
+        }
+
+        if (!response.ok) {
+            throw new SyncError(`The sync server responded with ${response.status}.`);
+        }
+
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new SyncError('The server sent an unexpected response.');
+        }
+    }
+
+    /**
+     * Save the queue and revision through the storage backend
+     */
+    saveState() {
+        const state = {
+            endpoint: this.endpoint,
+            revision: this.revision,
+            queue: this.queue,
+            lastSyncedAt: this.lastSyncedAt
+        };
+
+        return new Promise(resolve => resolve(this.store.storage.setItem(SYNC_STATE_KEY, JSON.stringify(state))))
+            .catch(error => {
+                console.error('Failed to save sync state:', error);
+            });
+    }
+
+    /**
+     * Get the current status, pending change count and last error
+     */
+    getStatus() {
+        return {
+            status: this.status,
+            pending: this.countPending(),
+            lastSyncedAt: this.lastSyncedAt,
+            error: this.error
+        };
+    }
+
+    /**
+     * Record a new status and report it
+     */
+    setStatus(status, error = null) {
+        this.status = status;
+        this.error = error;
+        this.onStatus(this.getStatus());
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SyncEngine, SyncError, SYNC_STATE_KEY };
+}
@@ -0,0 +1,66 @@
+/**
+ * Notes Markdown tests. Run with: node --test test/
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderMarkdown } = require('../markdown.js');
+
+describe('renderMarkdown', () => {
+    test('renders paragraphs, line breaks and lists', () => {
+        assert.equal(renderMarkdown(''), '');
+        assert.equal(renderMarkdown('One\nTwo\n\nThree'), '<p>One<br>Two</p><p>Three</p>');
+        assert.equal(renderMarkdown('- a\n- b\n1. c'), '<ul><li>a</li><li>b</li></ul><ol><li>c</li></ol>');
+    });
+
+    test('escapes raw HTML everywhere', () => {
+        assert.equal(renderMarkdown('<img src=x onerror=alert(1)>'), '<p>&lt;img src=x onerror=alert(1)&gt;</p>');
+        assert.equal(renderMarkdown('- <b>bold</b>'), '<ul><li>&lt;b&gt;bold&lt;/b&gt;</li></ul>');
+        assert.equal(renderMarkdown('`<script>`'), '<p><code>&lt;script&gt;</code></p>');
+        assert.equal(renderMarkdown('```\n<script>alert(1)</script>\n```'),
+            '<pre><code>&lt;script&gt;alert(1)&lt;/script&gt;</code></pre>');
+    });
+
+    test('keeps javascript: and data: links as text', () => {
+        assert.equal(renderMarkdown('[click](javascript:alert(1))'), '<p>[click](javascript:alert(1))</p>');
+        assert.equal(renderMarkdown('[img](data:text/html;base64,PHNjcmlwdD4=)'),
+            '<p>[img](data:text/html;base64,PHNjcmlwdD4=)</p>');
+        assert.equal(renderMarkdown('[x](JavaScript:void(0))'), '<p>[x](JavaScript:void(0))</p>');
+        assert.doesNotMatch(renderMarkdown('[a](javascript:alert(1)) [b](data:x)'), /<a /);
+    });
+
+    test('renders http, mailto and www links', () => {
+        assert.equal(renderMarkdown('[Docs](https://example.com/a)'),
+            '<p><a href="https://example.com/a" target="_blank" rel="noopener noreferrer">Docs</a></p>');
+        assert.match(renderMarkdown('[Mail](mailto:sam@example.com)'), /href="mailto:sam@example\.com"/);
+        assert.match(renderMarkdown('See www.example.com.'), /<a href="https:\/\/www\.example\.com" [^>]*>www\.example\.com<\/a>\.<\/p>$/);
+    });
+
+    test('escapes quotes inside href', () => {
+        const html = renderMarkdown('[x](https://example.com/"onmouseover="alert(1))');
+        assert.match(html, /href="https:\/\/example\.com\/&quot;onmouseover=&quot;alert\(1"/);
+        assert.doesNotMatch(html, /href="[^"]*" onmouseover/);
+
+        const bare = renderMarkdown('https://example.com/?q="x"&y=1');
+        assert.match(bare, /href="https:\/\/example\.com\/\?q=&quot;x&quot;&amp;y=1"/);
+    });
+
+    test('nests emphasis and links', () => {
+        assert.equal(renderMarkdown('**bold _and em_**'), '<p><strong>bold <em>and em</em></strong></p>');
+        assert.equal(renderMarkdown('*em with **strong** inside*'), '<p><em>em with <strong>strong</strong> inside</em></p>');
+        assert.equal(renderMarkdown('**[Docs](https://example.com)**'),
+            '<p><strong><a href="https://example.com" target="_blank" rel="noopener noreferrer">Docs</a></strong></p>');
+        assert.equal(renderMarkdown('[**Docs**](https://example.com)'),
+            '<p><a href="https://example.com" target="_blank" rel="noopener noreferrer"><strong>Docs</strong></a></p>');
+    });
+
+    test('does not put links inside link labels', () => {
+        const html = renderMarkdown('[see https://a.example](https://b.example)');
+        assert.equal((html.match(/<a /g) || []).length, 1);
+        assert.match(html, />see https:\/\/a\.example<\/a>/);
+    });
+
+    test('leaves snake_case words alone', () => {
+        assert.equal(renderMarkdown('use snake_case_name here'), '<p>use snake_case_name here</p>');
+    });
+});
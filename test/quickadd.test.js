@@ -0,0 +1,84 @@
+/**
+ * Quick-add parser tests. Run with: node --test test/
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuickAdd, parseTime } = require('../quickadd.js');
+
+// Monday 19 Oct 2026, 14:30 local time
+const now = new Date(2026, 9, 19, 14, 30);
+
+describe('parseQuickAdd', () => {
+    test('reads a date, time, priority and tag', () => {
+        const result = parseQuickAdd('Pay rent tomorrow 5pm !high #home', now);
+        assert.equal(result.text, 'Pay rent');
+        assert.deepEqual(result.deadline, new Date(2026, 9, 20, 17, 0));
+        assert.equal(result.priority, 'high');
+        assert.deepEqual(result.tags, ['home']);
+    });
+
+    test('reads weekly repeats and starts on the next matching day', () => {
+        const result = parseQuickAdd('Standup every monday and thursday at 9:30am', now);
+        assert.equal(result.text, 'Standup');
+        assert.deepEqual(result.recurrence, { type: 'weekly', days: [1, 4] });
+        assert.deepEqual(result.deadline, new Date(2026, 9, 22, 9, 30));
+    });
+
+    test('reads relative dates', () => {
+        assert.deepEqual(parseQuickAdd('Call back in 3 days', now).deadline, new Date(2026, 9, 22, 14, 30));
+        assert.deepEqual(parseQuickAdd('Check oven in 20 minutes', now).deadline, new Date(2026, 9, 19, 14, 50));
+    });
+
+    test('reads next weekday as the following week', () => {
+        const result = parseQuickAdd('Review next friday', now);
+        assert.equal(result.text, 'Review');
+        assert.equal(result.deadline.getDay(), 5);
+        assert.ok(result.deadline > now);
+    });
+
+    test('leaves ordinary words alone', () => {
+        const result = parseQuickAdd('Fix the monday report', now);
+        assert.equal(result.text, 'Fix the monday report');
+        assert.equal(result.deadline, null);
+        assert.equal(result.recurrence, null);
+        assert.equal(result.priority, null);
+        assert.deepEqual(result.tags, []);
+    });
+
+    test('reads a bare repeat word only at the end', () => {
+        const result = parseQuickAdd('Water plants daily at 8am #home', now);
+        assert.equal(result.text, 'Water plants');
+        assert.deepEqual(result.recurrence, { type: 'daily' });
+
+        ['Monthly report', 'Review weekly metrics', 'Daily standup notes'].forEach(input => {
+            const plain = parseQuickAdd(input, now);
+            assert.equal(plain.text, input);
+            assert.equal(plain.recurrence, null);
+            assert.equal(plain.deadline, null);
+        });
+    });
+
+    test('leaves impossible ISO dates in the text', () => {
+        const result = parseQuickAdd('Update 2026-13-01 log', now);
+        assert.equal(result.text, 'Update 2026-13-01 log');
+        assert.equal(result.deadline, null);
+        assert.equal(parseQuickAdd('Update 2026-02-30 log', now).deadline, null);
+        assert.deepEqual(parseQuickAdd('Update 2026-12-05 log', now).deadline, new Date(2026, 11, 5, 9, 0));
+    });
+});
+
+describe('parseTime', () => {
+    test('reads 12- and 24-hour times', () => {
+        assert.deepEqual(parseTime('5pm'), { hours: 17, minutes: 0 });
+        assert.deepEqual(parseTime('12am'), { hours: 0, minutes: 0 });
+        assert.deepEqual(parseTime('17:45'), { hours: 17, minutes: 45 });
+        assert.deepEqual(parseTime('noon'), { hours: 12, minutes: 0 });
+    });
+
+    test('rejects impossible times', () => {
+        assert.equal(parseTime('13pm'), null);
+        assert.equal(parseTime('24:00'), null);
+        assert.equal(parseTime('9:75'), null);
+    });
+});
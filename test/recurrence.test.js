@@ -0,0 +1,84 @@
+/**
+ * Recurrence rule tests. Run with: node --test test/
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    isValidRecurrence,
+    createRecurrence,
+    getNextOccurrence,
+    getNextFutureOccurrence
+} = require('../recurrence.js');
+
+// Monday 19 Oct 2026, 14:30 local time
+const now = new Date(2026, 9, 19, 14, 30);
+
+describe('getNextOccurrence', () => {
+    test('keeps the time of day', () => {
+        assert.deepEqual(getNextOccurrence({ type: 'daily' }, new Date(2026, 9, 19, 9, 15)), new Date(2026, 9, 20, 9, 15));
+        assert.deepEqual(getNextOccurrence({ type: 'interval', interval: 3 }, new Date(2026, 9, 30, 9, 0)), new Date(2026, 10, 2, 9, 0));
+    });
+
+    test('skips the weekend for weekdays', () => {
+        // Friday 23 Oct -> Monday 26 Oct
+        assert.deepEqual(getNextOccurrence({ type: 'weekdays' }, new Date(2026, 9, 23, 9, 0)), new Date(2026, 9, 26, 9, 0));
+    });
+
+    test('wraps weekly days into the next week', () => {
+        const rule = { type: 'weekly', days: [1, 3] };
+        assert.deepEqual(getNextOccurrence(rule, new Date(2026, 9, 19, 9, 0)), new Date(2026, 9, 21, 9, 0));
+        assert.deepEqual(getNextOccurrence(rule, new Date(2026, 9, 23, 9, 0)), new Date(2026, 9, 26, 9, 0));
+        assert.deepEqual(getNextOccurrence({ type: 'weekly', days: [0] }, new Date(2026, 11, 27, 9, 0)), new Date(2027, 0, 3, 9, 0));
+    });
+
+    test('clamps the 31st to short months and returns to it after', () => {
+        const rule = { type: 'monthlyDate', dayOfMonth: 31 };
+        const february = getNextOccurrence(rule, new Date(2026, 0, 31, 9, 0));
+        assert.deepEqual(february, new Date(2026, 1, 28, 9, 0));
+        assert.deepEqual(getNextOccurrence(rule, february), new Date(2026, 2, 31, 9, 0));
+        assert.deepEqual(getNextOccurrence(rule, new Date(2026, 2, 31, 9, 0)), new Date(2026, 3, 30, 9, 0));
+        assert.deepEqual(getNextOccurrence(rule, new Date(2028, 0, 31, 9, 0)), new Date(2028, 1, 29, 9, 0));
+    });
+
+    test('finds the nth and last weekday of a month', () => {
+        // Second Thursday: 8 Oct has passed, so 12 Nov
+        assert.deepEqual(getNextOccurrence({ type: 'monthlyWeekday', nth: 2, weekday: 4 }, now), new Date(2026, 10, 12, 14, 30));
+
+        // Last Friday: 30 Oct, then 27 Nov
+        const rule = { type: 'monthlyWeekday', nth: -1, weekday: 5 };
+        const october = getNextOccurrence(rule, now);
+        assert.deepEqual(october, new Date(2026, 9, 30, 14, 30));
+        assert.deepEqual(getNextOccurrence(rule, october), new Date(2026, 10, 27, 14, 30));
+    });
+});
+
+describe('getNextFutureOccurrence', () => {
+    test('rolls an overdue task forward past now', () => {
+        assert.deepEqual(getNextFutureOccurrence({ type: 'daily' }, new Date(2026, 9, 1, 9, 0), now), new Date(2026, 9, 20, 9, 0));
+        assert.deepEqual(getNextFutureOccurrence({ type: 'weekly', days: [1] }, new Date(2026, 8, 7, 9, 0), now), new Date(2026, 9, 26, 9, 0));
+        assert.deepEqual(
+            getNextFutureOccurrence({ type: 'monthlyDate', dayOfMonth: 31 }, new Date(2026, 0, 31, 9, 0), new Date(2026, 3, 15)),
+            new Date(2026, 3, 30, 9, 0)
+        );
+    });
+
+    test('keeps a later-today occurrence', () => {
+        assert.deepEqual(getNextFutureOccurrence({ type: 'daily' }, new Date(2026, 9, 18, 16, 0), now), new Date(2026, 9, 19, 16, 0));
+    });
+});
+
+describe('createRecurrence', () => {
+    test('anchors monthly rules on a date', () => {
+        assert.deepEqual(createRecurrence('monthlyDate', new Date(2026, 9, 31)), { type: 'monthlyDate', dayOfMonth: 31 });
+        assert.deepEqual(createRecurrence('monthlyWeekday', new Date(2026, 9, 8)), { type: 'monthlyWeekday', nth: 2, weekday: 4 });
+        assert.deepEqual(createRecurrence('monthlyWeekday', new Date(2026, 9, 30)), { type: 'monthlyWeekday', nth: -1, weekday: 5 });
+    });
+
+    test('builds only valid rules', () => {
+        assert.ok(isValidRecurrence(createRecurrence('weekly', now)));
+        assert.ok(isValidRecurrence(createRecurrence('interval', now, { interval: 0 })));
+        assert.equal(isValidRecurrence({ type: 'weekly', days: [] }), false);
+        assert.equal(isValidRecurrence({ type: 'monthlyDate', dayOfMonth: 32 }), false);
+    });
+});
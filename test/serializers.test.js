@@ -0,0 +1,142 @@
+/**
+ * Serializer tests. Run with: node --test test/
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { serializeTasks, parseTasks } = require('../serializers.js');
+
+const lists = [{ id: 1, name: 'My Tasks' }];
+
+/**
+ * Build a task with the fields every export format expects
+ */
+function createTask(fields) {
+    return {
+        id: 1,
+        text: 'Task',
+        completed: false,
+        createdAt: '2026-10-19T12:00:00.000Z',
+        completedAt: null,
+        deadline: null,
+        recurrence: null,
+        subtasks: [],
+        priority: 'none',
+        tags: [],
+        notes: '',
+        listId: 1,
+        ...fields
+    };
+}
+
+describe('CSV', () => {
+    test('round-trips text with commas, quotes and line breaks', () => {
+        const tasks = [createTask({ text: 'Say "hi", then leave', notes: 'Line one\nLine two' })];
+        const parsed = parseTasks('csv', serializeTasks('csv', { tasks, lists }));
+        assert.equal(parsed.tasks[0].text, 'Say "hi", then leave');
+        assert.equal(parsed.tasks[0].notes, 'Line one\nLine two');
+    });
+
+    test('escapes fields that spreadsheet apps would run as formulas', () => {
+        const texts = ['=HYPERLINK("http://example.com")', '+cmd|x', '-1+2', '@SUM(A1)', '\tTabbed'];
+        const tasks = texts.map((text, index) => createTask({ id: index + 1, text }));
+        const csv = serializeTasks('csv', { tasks, lists });
+
+        const rows = csv.split(/\r?\n/).slice(1, texts.length + 1);
+        rows.forEach(row => {
+            const text = row.split(',')[1].replace(/^"/, '');
+            assert.ok(text.startsWith("'"), `expected ${text} to be escaped`);
+        });
+    });
+
+    test('removes the formula escape again on import', () => {
+        const texts = ['=1+1', '+cmd|x', "'=already quoted", "'plain quote"];
+        const tasks = texts.map((text, index) => createTask({ id: index + 1, text }));
+        const parsed = parseTasks('csv', serializeTasks('csv', { tasks, lists }));
+        assert.deepEqual(parsed.tasks.map(task => task.text), texts);
+    });
+});
+
+describe('Markdown', () => {
+    test('round-trips text, completion, priority, tags, deadline and subtasks', () => {
+        const tasks = [
+            createTask({
+                text: 'Pay rent',
+                completed: true,
+                priority: 'high',
+                tags: ['home'],
+                deadline: '2026-11-01T17:00',
+                subtasks: [{ id: 1, text: 'Transfer money', completed: true }],
+                notes: 'Landlord: Sam\n\nRef 42'
+            }),
+            createTask({ id: 2, text: 'Second', listId: 2 })
+        ];
+        const parsed = parseTasks('markdown', serializeTasks('markdown', { tasks, lists: [...lists, { id: 2, name: 'Work' }] }));
+
+        const [task, second] = parsed.tasks;
+        assert.equal(task.text, 'Pay rent');
+        assert.equal(task.completed, true);
+        assert.equal(task.priority, 'high');
+        assert.deepEqual(task.tags, ['home']);
+        assert.equal(task.deadline, '2026-11-01T17:00');
+        assert.deepEqual(task.subtasks, [{ id: 1, text: 'Transfer money', completed: true }]);
+        assert.equal(task.notes, 'Landlord: Sam\n\nRef 42');
+        assert.equal(parsed.lists.find(list => list.id === second.listId).name, 'Work');
+    });
+
+    test('keeps "#" and "!" words of the text out of tags and priority', () => {
+        const tasks = [createTask({ text: 'Fix #12 !high now', tags: ['bug'] })];
+        const markdown = serializeTasks('markdown', { tasks, lists });
+        assert.match(markdown, /Fix \\#12 \\!high now/);
+
+        const [task] = parseTasks('markdown', markdown).tasks;
+        assert.equal(task.text, 'Fix #12 !high now');
+        assert.deepEqual(task.tags, ['bug']);
+        assert.equal(task.priority, 'none');
+    });
+
+    test('reads tags and priority from hand-written items', () => {
+        const [task] = parseTasks('markdown', '- [ ] Call Sam #phone !urgent').tasks;
+        assert.equal(task.text, 'Call Sam');
+        assert.deepEqual(task.tags, ['phone']);
+        assert.equal(task.priority, 'urgent');
+    });
+});
+
+describe('iCalendar', () => {
+    test('round-trips the fields a VTODO can hold', () => {
+        const tasks = [createTask({
+            text: 'Water plants; all of them, please',
+            priority: 'medium',
+            tags: ['home', 'garden'],
+            deadline: '2026-11-02T09:00',
+            recurrence: { type: 'weekly', days: [1, 4] },
+            subtasks: [
+                { id: 1, text: 'Kitchen', completed: true },
+                { id: 2, text: 'Balcony', completed: false }
+            ],
+            notes: 'Use the blue can'
+        })];
+        const [task] = parseTasks('ics', serializeTasks('ics', { tasks, lists })).tasks;
+
+        assert.equal(task.text, 'Water plants; all of them, please');
+        assert.equal(task.priority, 'medium');
+        assert.deepEqual(task.tags, ['home', 'garden']);
+        assert.equal(task.deadline, '2026-11-02T09:00');
+        assert.deepEqual(task.recurrence, { type: 'weekly', days: [1, 4] });
+        assert.deepEqual(task.subtasks, [
+            { id: 1, text: 'Kitchen', completed: true },
+            { id: 2, text: 'Balcony', completed: false }
+        ]);
+        assert.equal(task.notes, 'Use the blue can');
+    });
+
+    test('keeps checklist lines of the notes in the notes', () => {
+        const notes = 'Steps:\n- [ ] not a subtask\n- [x] nor this';
+        const tasks = [createTask({ notes, subtasks: [{ id: 1, text: 'Real one', completed: false }] })];
+        const [task] = parseTasks('ics', serializeTasks('ics', { tasks, lists })).tasks;
+
+        assert.equal(task.notes, notes);
+        assert.deepEqual(task.subtasks.map(subtask => subtask.text), ['Real one']);
+    });
+});
@@ -0,0 +1,277 @@
+/**
+ * TodoStore tests. Run with: node --test test/
+ */
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { TodoStore, TaskValidationError, SCHEMA_VERSION } = require('../store.js');
+const { MemoryStorageAdapter, StorageReadError } = require('../storage.js');
+
+/**
+ * Run a function expected to throw a TaskValidationError and return the error
+ */
+function catchValidationError(run) {
+    try {
+        run();
+    } catch (error) {
+        assert.ok(error instanceof TaskValidationError, `expected a TaskValidationError, got ${error}`);
+        return error;
+    }
+    assert.fail('expected a TaskValidationError');
+}
+
+describe('TodoStore', () => {
+    let store;
+
+    beforeEach(() => {
+        store = new TodoStore();
+    });
+
+    describe('add', () => {
+        test('creates a task in the first list with trimmed text', () => {
+            const task = store.add({ text: '  Buy milk  ', priority: 'high', tags: ['shop'] });
+            assert.equal(task.text, 'Buy milk');
+            assert.equal(task.completed, false);
+            assert.equal(task.priority, 'high');
+            assert.deepEqual(task.tags, ['shop']);
+            assert.equal(task.listId, store.lists[0].id);
+            assert.equal(store.tasks.length, 1);
+        });
+
+        test('gives each task a new id', () => {
+            const first = store.add({ text: 'One' });
+            const second = store.add({ text: 'Two' });
+            assert.notEqual(first.id, second.id);
+            assert.equal(store.taskIdCounter, second.id);
+        });
+    });
+
+    describe('validation', () => {
+        const cases = [
+            ['empty-text', { text: '   ' }],
+            ['text-too-long', { text: 'x'.repeat(101) }],
+            ['invalid-deadline', { text: 'Task', deadline: 'not a date' }],
+            ['invalid-recurrence', { text: 'Task', recurrence: { type: 'hourly' } }],
+            ['invalid-priority', { text: 'Task', priority: 'huge' }],
+            ['unknown-list', { text: 'Task', listId: 99 }],
+            ['notes-too-long', { text: 'Task', notes: 'x'.repeat(5001) }]
+        ];
+
+        cases.forEach(([code, fields]) => {
+            test(`rejects ${code}`, () => {
+                const error = catchValidationError(() => store.add(fields));
+                assert.equal(error.code, code);
+                assert.equal(store.tasks.length, 0);
+            });
+        });
+
+        test('reports case-insensitive duplicates in the same list', () => {
+            store.add({ text: 'Test task' });
+            const error = catchValidationError(() => store.add({ text: 'test TASK' }));
+            assert.equal(error.code, 'duplicate');
+            assert.equal(error.field, 'text');
+        });
+
+        test('allows the same text in another list', () => {
+            store.add({ text: 'Test task' });
+            store.lists.push({ id: 2, name: 'Work' });
+            assert.doesNotThrow(() => store.add({ text: 'Test task', listId: 2 }));
+        });
+
+        test('rejects moving a task into a list that already has its text', () => {
+            store.lists.push({ id: 2, name: 'Work' });
+            store.add({ text: 'Report', listId: 2 });
+            const task = store.add({ text: 'report' });
+            const error = catchValidationError(() => store.update(task.id, { listId: 2 }));
+            assert.equal(error.code, 'duplicate');
+            assert.equal(store.get(task.id).listId, 1);
+        });
+
+        test('moves a task next to a trashed one with the same text', () => {
+            store.lists.push({ id: 2, name: 'Work' });
+            const trashed = store.add({ text: 'Report', listId: 2 });
+            store.trash(trashed.id);
+            const task = store.add({ text: 'Report' });
+            assert.equal(store.update(task.id, { listId: 2 }), true);
+        });
+
+        test('checks subtasks given to update', () => {
+            const task = store.add({ text: 'Task' });
+            const subtasks = text => [{ id: 1, text: 'Fine', completed: true }, { id: 2, text, completed: false }];
+            assert.equal(catchValidationError(() => store.update(task.id, { subtasks: subtasks('  ') })).code, 'empty-subtask');
+            assert.equal(catchValidationError(() => store.update(task.id, { subtasks: subtasks('x'.repeat(101)) })).code, 'subtask-too-long');
+            assert.equal(catchValidationError(() => store.update(task.id, { subtasks: [{ text: 'No id' }] })).code, 'invalid-subtasks');
+            assert.deepEqual(store.get(task.id).subtasks, []);
+
+            assert.equal(store.update(task.id, { subtasks: subtasks('Second') }), true);
+            assert.deepEqual(store.get(task.id).subtasks.map(subtask => subtask.text), ['Fine', 'Second']);
+        });
+
+        test('leaves a task unchanged when an update is invalid', () => {
+            const task = store.add({ text: 'Task' });
+            const error = catchValidationError(() => store.update(task.id, { priority: 'huge', text: 'Changed' }));
+            assert.equal(error.code, 'invalid-priority');
+            assert.equal(store.get(task.id).text, 'Task');
+        });
+    });
+
+    describe('events', () => {
+        test('fires a typed event per task and then one change event', () => {
+            const events = [];
+            store.subscribe(event => events.push(event.type));
+            const task = store.add({ text: 'Task' });
+            store.toggle(task.id);
+            store.toggle(task.id);
+            store.update(task.id, { priority: 'low' });
+            store.remove(task.id);
+
+            assert.deepEqual(events, [
+                'task:added', 'change',
+                'task:completed', 'change',
+                'task:uncompleted', 'change',
+                'task:updated', 'change',
+                'task:removed', 'change'
+            ]);
+        });
+
+        test('stops calling a listener once it unsubscribes', () => {
+            const completed = [];
+            const unsubscribe = store.subscribe('task:completed', event => completed.push(event.task.id));
+            const task = store.add({ text: 'Task' });
+            store.toggle(task.id);
+            unsubscribe();
+            store.toggle(task.id);
+            store.toggle(task.id);
+            assert.deepEqual(completed, [task.id]);
+        });
+
+        test('reports a batch as one change event', () => {
+            const changes = [];
+            store.subscribe('change', event => changes.push(event.changes.length));
+            const result = store.batch(() => {
+                store.add({ text: 'One' });
+                store.add({ text: 'Two' });
+            });
+            assert.deepEqual(changes, [2]);
+            assert.equal(result.changes.length, 2);
+        });
+
+        test('keeps other listeners running when one throws', () => {
+            const seen = [];
+            const originalError = console.error;
+            console.error = () => {};
+            try {
+                store.subscribe('task:added', () => { throw new Error('listener failed'); });
+                store.subscribe('task:added', event => seen.push(event.task.text));
+                store.add({ text: 'Task' });
+            } finally {
+                console.error = originalError;
+            }
+            assert.deepEqual(seen, ['Task']);
+        });
+    });
+
+    describe('toggle', () => {
+        test('creates the next occurrence of a repeating task', () => {
+            const task = store.add({ text: 'Water plants', deadline: '2026-10-19T09:00', recurrence: { type: 'daily' } });
+            const { nextTask } = store.toggle(task.id);
+            assert.ok(nextTask);
+            assert.equal(nextTask.text, 'Water plants');
+            assert.equal(nextTask.completed, false);
+            assert.ok(nextTask.deadline > task.deadline);
+        });
+    });
+
+    describe('trash', () => {
+        test('hides trashed tasks from queries and restores them in place', () => {
+            const [one, two, three] = ['One', 'Two', 'Three'].map(text => store.add({ text }));
+            store.trash(two.id);
+            assert.deepEqual(store.query().map(task => task.id), [one.id, three.id]);
+            assert.deepEqual(store.query({ status: 'trash' }).map(task => task.id), [two.id]);
+
+            store.restoreFromTrash(two.id);
+            assert.deepEqual(store.query().map(task => task.id), [one.id, two.id, three.id]);
+        });
+
+        test('ignores trashed tasks when looking for duplicates', () => {
+            const task = store.add({ text: 'Task' });
+            store.trash(task.id);
+            store.add({ text: 'Task' });
+            const error = catchValidationError(() => store.restoreFromTrash(task.id));
+            assert.equal(error.code, 'duplicate');
+        });
+
+        test('purges only tasks trashed before the cutoff', () => {
+            const old = store.add({ text: 'Old' });
+            const recent = store.add({ text: 'Recent' });
+            store.trash(old.id);
+            store.trash(recent.id);
+            old.trashedAt = '2026-01-01T00:00:00.000Z';
+
+            const purged = store.purgeTrash(new Date('2026-02-01T00:00:00.000Z'));
+            assert.deepEqual(purged.map(task => task.id), [old.id]);
+            assert.deepEqual(store.tasks.map(task => task.id), [recent.id]);
+        });
+    });
+
+    describe('query', () => {
+        test('filters by status, tag and search, then sorts', () => {
+            store.add({ text: 'Buy milk', tags: ['shop'], priority: 'low' });
+            const bread = store.add({ text: 'Buy bread', tags: ['shop'], priority: 'high' });
+            store.add({ text: 'Call mum' });
+            store.add({ text: 'Café visit' });
+
+            assert.deepEqual(store.query({ tag: 'shop', sort: 'priority' }).map(task => task.text), ['Buy bread', 'Buy milk']);
+            assert.deepEqual(store.query({ search: 'buy -milk' }).map(task => task.id), [bread.id]);
+            assert.deepEqual(store.query({ search: 'cafe' }).map(task => task.text), ['Café visit']);
+
+            store.toggle(bread.id);
+            assert.equal(store.query({ status: 'completed' }).length, 1);
+            assert.equal(store.query({ status: 'active' }).length, 3);
+        });
+    });
+
+    describe('persistence', () => {
+        test('saves and loads through its storage', async () => {
+            store.add({ text: 'Task' });
+            await store.save();
+
+            const reloaded = new TodoStore({ storage: store.storage });
+            await reloaded.load();
+            assert.deepEqual(reloaded.tasks.map(task => task.text), ['Task']);
+            assert.equal(reloaded.taskIdCounter, store.taskIdCounter);
+        });
+
+        test('migrates an unversioned task array and saves it upgraded', async () => {
+            const storage = new MemoryStorageAdapter([
+                { id: '3', text: 'Legacy', completed: 1 },
+                { text: 'No id' }
+            ]);
+            const legacy = new TodoStore({ storage });
+            await legacy.load();
+
+            assert.deepEqual(legacy.tasks.map(task => task.id), [3, 4]);
+            assert.equal(legacy.tasks[0].completed, true);
+            assert.equal(legacy.tasks[0].priority, 'none');
+            assert.deepEqual(legacy.tasks[0].subtasks, []);
+            assert.equal(legacy.tasks[0].listId, legacy.lists[0].id);
+            assert.equal(legacy.taskIdCounter, 4);
+            assert.equal(JSON.parse(storage.data).version, SCHEMA_VERSION);
+        });
+
+        test('rejects data from a newer schema with a StorageReadError', async () => {
+            const storage = new MemoryStorageAdapter({ version: SCHEMA_VERSION + 1, tasks: [] });
+            const future = new TodoStore({ storage });
+            await assert.rejects(future.load(), StorageReadError);
+            assert.deepEqual(future.tasks, []);
+        });
+
+        test('quarantines unreadable data under the storage key', async () => {
+            const storage = new MemoryStorageAdapter();
+            const backupKey = await storage.quarantine('{broken');
+            assert.match(backupKey, /^todoApp-quarantine-\d+$/);
+            assert.equal(await storage.getItem(backupKey), '{broken');
+            assert.equal(await storage.loadData(), null);
+        });
+    });
+});
@@ -0,0 +1,243 @@
+/**
+ * Server sync tests. Run with: node --test test/
+ */
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { SyncEngine } = require('../sync.js');
+const { TodoStore } = require('../store.js');
+const { MemoryStorageAdapter } = require('../storage.js');
+const { applyChanges, getChangesSince } = require('../server/sync-server.js');
+
+/**
+ * Build a task in the shape the app sends
+ */
+function createTask(id, fields = {}) {
+    return {
+        id,
+        text: `Task ${id}`,
+        completed: false,
+        createdAt: '2026-10-01T09:00:00.000Z',
+        updatedAt: '2026-10-01T09:00:00.000Z',
+        listId: 1,
+        ...fields
+    };
+}
+
+/**
+ * Build a change message holding the given upserts and deletes
+ */
+function createMessage({ upserts = [], deletes = [], lists = null, taskIdCounter = 0 } = {}) {
+    return {
+        taskIdCounter,
+        lists,
+        upserts: upserts.map((task, index) => ({ task, index })),
+        deletes
+    };
+}
+
+/**
+ * Build a fetch that answers every request with handler(method, body)
+ */
+function createFetch(handler) {
+    const requests = [];
+    const fetch = async (url, { method, body }) => {
+        const parsed = body ? JSON.parse(body) : undefined;
+        requests.push({ url, method, body: parsed });
+        const result = await handler(method, parsed, url);
+        return { ok: true, status: 200, json: async () => result };
+    };
+    return { fetch, requests };
+}
+
+describe('SyncEngine', () => {
+    let store;
+
+    beforeEach(() => {
+        store = new TodoStore({ storage: new MemoryStorageAdapter() });
+    });
+
+    /**
+     * Create an engine for the test store with a fake fetch
+     */
+    function createEngine(fetch, applied = []) {
+        return new SyncEngine({
+            store,
+            endpoint: 'https://sync.example/sync',
+            applyChanges: message => applied.push(message),
+            fetch
+        });
+    }
+
+    describe('enqueue', () => {
+        test('keeps only the latest change per task', () => {
+            const engine = createEngine(createFetch(() => ({})).fetch);
+            engine.enqueue(createMessage({ upserts: [createTask(1)], taskIdCounter: 1 }), { send: false });
+            engine.enqueue(createMessage({ deletes: [{ id: 1, deletedAt: '2026-10-02T00:00:00.000Z' }] }), { send: false });
+            engine.enqueue(createMessage({ upserts: [createTask(2), createTask(2, { text: 'Renamed' })], taskIdCounter: 2 }), { send: false });
+
+            assert.deepEqual(Object.keys(engine.queue.upserts), ['2']);
+            assert.equal(engine.queue.upserts[2].task.text, 'Renamed');
+            assert.deepEqual(Object.keys(engine.queue.deletes), ['1']);
+            assert.equal(engine.queue.taskIdCounter, 2);
+            assert.equal(engine.countPending(), 2);
+
+            engine.enqueue(createMessage({ upserts: [createTask(1, { text: 'Back' })] }), { send: false });
+            assert.deepEqual(Object.keys(engine.queue.deletes), []);
+            assert.equal(engine.queue.upserts[1].task.text, 'Back');
+        });
+
+        test('copies tasks so later edits are not sent early', () => {
+            const engine = createEngine(createFetch(() => ({})).fetch);
+            const task = createTask(1);
+            engine.enqueue(createMessage({ upserts: [task] }), { send: false });
+            task.text = 'Edited later';
+            assert.equal(engine.queue.upserts[1].task.text, 'Task 1');
+        });
+    });
+
+    describe('push', () => {
+        test('clears what the server accepted', async () => {
+            const { fetch, requests } = createFetch(() => ({ revision: 1 }));
+            const engine = createEngine(fetch);
+            engine.enqueue(createMessage({ upserts: [createTask(1)], deletes: [{ id: 2, deletedAt: null }] }), { send: false });
+
+            await engine.push();
+            assert.equal(requests.length, 1);
+            assert.equal(requests[0].method, 'POST');
+            assert.deepEqual(requests[0].body.upserts.map(entry => entry.task.id), [1]);
+            assert.deepEqual(requests[0].body.deletes.map(entry => entry.id), [2]);
+            assert.equal(engine.countPending(), 0);
+        });
+
+        test('keeps entries queued again while the request was in flight', async () => {
+            let engine = null;
+            const { fetch } = createFetch(() => {
+                engine.enqueue(createMessage({ upserts: [createTask(1, { text: 'Edited meanwhile' })] }), { send: false });
+                return { revision: 1 };
+            });
+            engine = createEngine(fetch);
+            engine.enqueue(createMessage({ upserts: [createTask(1), createTask(2)] }), { send: false });
+
+            await engine.push();
+            assert.deepEqual(Object.keys(engine.queue.upserts), ['1']);
+            assert.equal(engine.queue.upserts[1].task.text, 'Edited meanwhile');
+        });
+
+        test('keeps the queue when the server cannot be reached', async () => {
+            const engine = createEngine(async () => { throw new Error('offline'); });
+            engine.enqueue(createMessage({ upserts: [createTask(1)] }), { send: false });
+
+            await assert.rejects(engine.push(), error => error.offline === true);
+            assert.equal(engine.countPending(), 1);
+        });
+    });
+
+    describe('pull', () => {
+        test('applies changes and remembers the revision', async () => {
+            const applied = [];
+            const { fetch, requests } = createFetch(() => ({ revision: 4, ...createMessage({ upserts: [createTask(1)] }) }));
+            const engine = createEngine(fetch, applied);
+            engine.revision = 2;
+
+            await engine.pull();
+            assert.match(requests[0].url, /\?since=2$/);
+            assert.equal(applied.length, 1);
+            assert.equal(engine.revision, 4);
+        });
+
+        test('sends everything again when the server revision went backwards', async () => {
+            store.add({ text: 'Local task' });
+            const applied = [];
+            const { fetch } = createFetch(() => ({ revision: 1, ...createMessage() }));
+            const engine = createEngine(fetch, applied);
+            engine.revision = 10;
+
+            await engine.pull();
+            assert.equal(engine.revision, 0);
+            assert.equal(engine.rerun, true);
+            assert.equal(applied.length, 0);
+            assert.deepEqual(Object.values(engine.queue.upserts).map(entry => entry.task.text), ['Local task']);
+            assert.ok(engine.queue.lists);
+        });
+
+        test('rejects a response without a revision', async () => {
+            const engine = createEngine(createFetch(() => ({ upserts: [], deletes: [] })).fetch);
+            await assert.rejects(engine.pull(), /unexpected response/);
+        });
+    });
+});
+
+describe('sync server', () => {
+    let state;
+
+    beforeEach(() => {
+        state = { revision: 0, taskIdCounter: 0, lists: null, tasks: {}, deletes: {} };
+    });
+
+    describe('applyChanges', () => {
+        test('stores tasks and bumps the revision once per message', () => {
+            assert.equal(applyChanges(state, createMessage({ upserts: [createTask(1), createTask(3)] })), true);
+            assert.equal(state.revision, 1);
+            assert.equal(state.taskIdCounter, 3);
+            assert.deepEqual(Object.keys(state.tasks), ['1', '3']);
+        });
+
+        test('keeps the newer version of a task', () => {
+            applyChanges(state, createMessage({ upserts: [createTask(1, { text: 'New', updatedAt: '2026-10-05T00:00:00.000Z' })] }));
+            assert.equal(applyChanges(state, createMessage({ upserts: [createTask(1, { text: 'Old' })] })), false);
+            assert.equal(state.tasks[1].task.text, 'New');
+            assert.equal(state.revision, 1);
+        });
+
+        test('lets a delete win over older edits only', () => {
+            applyChanges(state, createMessage({ upserts: [createTask(1)] }));
+            applyChanges(state, createMessage({ deletes: [{ id: 1, deletedAt: '2026-10-02T00:00:00.000Z' }] }));
+            assert.equal(state.tasks[1], undefined);
+
+            assert.equal(applyChanges(state, createMessage({ upserts: [createTask(1)] })), false);
+            applyChanges(state, createMessage({ upserts: [createTask(1, { updatedAt: '2026-10-03T00:00:00.000Z' })] }));
+            assert.ok(state.tasks[1]);
+            assert.equal(state.deletes[1], undefined);
+        });
+
+        test('rejects a malformed message without changing anything', () => {
+            applyChanges(state, createMessage({ upserts: [createTask(1)] }));
+            const before = JSON.stringify(state);
+
+            const malformed = [
+                { lists: { items: [{ id: 1, name: 'Other' }], updatedAt: '2026-10-09T00:00:00.000Z' }, deletes: [null] },
+                { taskIdCounter: 50, upserts: [{ task: createTask(2), index: 0 }, null] },
+                { lists: { items: [null] } },
+                { deletes: 'all' },
+                null
+            ];
+            malformed.forEach(message => {
+                assert.throws(() => applyChanges(state, message), error => error.status === 400);
+                assert.equal(JSON.stringify(state), before);
+            });
+        });
+    });
+
+    describe('getChangesSince', () => {
+        test('returns only what changed after a revision', () => {
+            const lists = { items: [{ id: 1, name: 'My Tasks' }], listIdCounter: 1, updatedAt: '2026-10-01T00:00:00.000Z' };
+            applyChanges(state, createMessage({ upserts: [createTask(1)], lists }));
+            applyChanges(state, createMessage({ upserts: [createTask(2)] }));
+            applyChanges(state, createMessage({ deletes: [{ id: 1, deletedAt: '2026-10-02T00:00:00.000Z' }] }));
+
+            const all = getChangesSince(state, 0);
+            assert.equal(all.revision, 3);
+            assert.deepEqual(all.upserts.map(entry => entry.task.id), [2]);
+            assert.deepEqual(all.deletes, [{ id: 1, deletedAt: '2026-10-02T00:00:00.000Z' }]);
+            assert.deepEqual(all.lists.items, lists.items);
+
+            const recent = getChangesSince(state, 2);
+            assert.deepEqual(recent.upserts, []);
+            assert.deepEqual(recent.deletes.map(entry => entry.id), [1]);
+            assert.equal(recent.lists, null);
+
+            assert.deepEqual(getChangesSince(state, 3).deletes, []);
+        });
+    });
+});